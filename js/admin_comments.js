@@ -0,0 +1,104 @@
+// js/admin_comments.js — moderation queue for admin_comments.html (lib/comments.js)
+// Lists comments by status from GET /admin/comments; each one can be approved, rejected
+// or marked as spam (PUT /admin/comments/:post/:id). Everything shown goes through textContent.
+
+const ACTIONS = [['approved', 'Approve', 'approve'], ['rejected', 'Reject', ''], ['spam', 'Spam', 'spam']];
+const el = {
+    list: document.getElementById('list'),
+    status: document.getElementById('status'),
+    reload: document.getElementById('reload'),
+    state: document.getElementById('state'),
+};
+
+function setState(text, isError = false) {
+    el.state.textContent = text;
+    el.state.className = isError ? 'error' : 'muted';
+}
+
+function explain(res, body) {
+    if (res.status === 401) return 'log in as an admin on the members page';
+    if (res.status === 403) return 'admin role required';
+    return body.detail || `HTTP ${res.status}`;
+}
+
+function span(cls, text) {
+    const s = document.createElement('span');
+    s.className = cls;
+    s.textContent = text;
+    return s;
+}
+
+function cardFor(c) {
+    const card = document.createElement('article');
+    card.className = 'comment';
+
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.appendChild(span(`status ${c.status}`, c.status));
+    meta.appendChild(span('', c.author + (c.email ? ` <${c.email}>` : '')));
+    meta.appendChild(span('', new Date(c.createdAt).toLocaleString()));
+    const post = document.createElement('a');
+    post.href = `post.html?id=${encodeURIComponent(c.postId)}#comment-${c.id}`;
+    post.target = '_blank';
+    post.textContent = `on “${c.postTitle ?? `post ${c.postId}`}”`;
+    meta.appendChild(post);
+    if (c.parentId) meta.appendChild(span('', `reply to #${c.parentId}`));
+    meta.appendChild(span('', `${c.ip || '?'}`));
+    if (c.moderatedBy || c.moderatedAt) meta.appendChild(span('', `moderated by ${c.moderatedBy || '?'}`));
+    card.appendChild(meta);
+
+    const body = document.createElement('div');
+    body.className = 'body';
+    body.textContent = c.body;
+    card.appendChild(body);
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    for (const [status, label, cls] of ACTIONS) {
+        const b = document.createElement('button');
+        b.textContent = label;
+        b.className = cls;
+        b.disabled = c.status === status;
+        b.addEventListener('click', () => moderate(c, status, card));
+        actions.appendChild(b);
+    }
+    card.appendChild(actions);
+    return card;
+}
+
+async function moderate(c, status, card) {
+    card.querySelectorAll('button').forEach(b => { b.disabled = true; });
+    const res = await fetch(`/admin/comments/${encodeURIComponent(c.postId)}/${encodeURIComponent(c.id)}`, {
+        method: 'PUT',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status }),
+    }).catch(() => null);
+    const body = res ? await res.json().catch(() => ({})) : {};
+    if (!res || !res.ok) {
+        setState(`Not saved (${res ? explain(res, body) : 'network error'})`, true);
+        card.replaceWith(cardFor(c));
+        return;
+    }
+    sendLog(`[admin_comments.html] comment ${c.postId}/${c.id} ${status}`);
+    // Out of the current view once its status no longer matches
+    if (el.status.value !== 'all' && el.status.value !== status) card.remove();
+    else card.replaceWith(cardFor({ ...c, ...body.comment }));
+    setState(`Comment #${c.id} ${status}.`);
+}
+
+async function load() {
+    setState('Loading…');
+    el.list.textContent = '';
+    const res = await fetch(`/admin/comments?status=${encodeURIComponent(el.status.value)}`, { credentials: 'same-origin' }).catch(() => null);
+    const body = res ? await res.json().catch(() => ({})) : {};
+    if (!res || !res.ok) return setState(`Cannot read comments (${res ? explain(res, body) : 'network error'})`, true);
+    for (const c of body.comments) el.list.appendChild(cardFor(c));
+    setState(`${body.comments.length} comment${body.comments.length === 1 ? '' : 's'}`);
+}
+
+el.status.addEventListener('change', load);
+el.reload.addEventListener('click', load);
+
+sendLog('[admin_comments.html] moderation queue opened');
+load();
@@ -0,0 +1,159 @@
+// js/admin_logs.js — live log viewer for admin_logs.html (server + /clientlog lines)
+// Tails GET /admin/logs/stream (SSE) with the toolbar filters; changing a filter reconnects.
+
+const MAX_LINES = 2000;
+const state = { es: null, gen: 0, paused: false, pending: [], shown: 0, knownSources: new Set(['client']) };
+const el = {
+    lines: document.getElementById('lines'),
+    level: document.getElementById('level'),
+    source: document.getElementById('source'),
+    since: document.getElementById('since'),
+    q: document.getElementById('q'),
+    pause: document.getElementById('pause'),
+    clear: document.getElementById('clear'),
+    state: document.getElementById('state'),
+    count: document.getElementById('count'),
+};
+
+function setState(text, isError = false) {
+    el.state.textContent = text;
+    el.state.className = isError ? 'error' : '';
+}
+
+function updateCount() {
+    el.count.textContent = `${state.shown} line${state.shown === 1 ? '' : 's'}` + (state.pending.length ? ` • ${state.pending.length} waiting` : '');
+}
+
+function filterParams() {
+    const p = new URLSearchParams({ level: el.level.value, tail: '500' });
+    if (el.source.value) p.set('source', el.source.value);
+    if (el.since.value) p.set('since', String(Date.now() - Number(el.since.value)));
+    if (el.q.value.trim()) p.set('q', el.q.value.trim());
+    return p;
+}
+
+function addSources(list) {
+    for (const s of list || []) {
+        if (state.knownSources.has(s)) continue;
+        state.knownSources.add(s);
+        const opt = document.createElement('option');
+        opt.value = s;
+        opt.textContent = s;
+        el.source.appendChild(opt);
+    }
+}
+
+function fmtTime(iso) {
+    const d = new Date(iso);
+    return d.toLocaleTimeString([], { hour12: false }) + '.' + String(d.getMilliseconds()).padStart(3, '0');
+}
+
+function lineFor(rec) {
+    const row = document.createElement('div');
+    row.className = `line ${rec.level}` + (rec.source === 'client' ? ' client' : '') + (rec.kind === 'section' ? ' section' : '');
+    row.title = rec.time;
+
+    const cells = [
+        ['time', fmtTime(rec.time)],
+        ['lvl', rec.level],
+        ['src', rec.source],
+    ];
+    for (const [cls, text] of cells) {
+        const span = document.createElement('span');
+        span.className = cls;
+        span.textContent = text;
+        row.appendChild(span);
+    }
+
+    const msg = document.createElement('span');
+    msg.className = 'msg';
+    msg.textContent = rec.kind === 'section' ? `» ${rec.msg}` : rec.msg;
+    const meta = [];
+    if (rec.reqId) meta.push(`#${rec.reqId}`);
+    if (rec.extra !== undefined) meta.push(typeof rec.extra === 'string' ? rec.extra : JSON.stringify(rec.extra));
+    if (meta.length) {
+        const m = document.createElement('span');
+        m.className = 'meta';
+        m.textContent = '  ' + meta.join('  ');
+        msg.appendChild(m);
+    }
+    row.appendChild(msg);
+    return row;
+}
+
+function render(records) {
+    const atBottom = window.innerHeight + window.scrollY >= document.body.scrollHeight - 40;
+    const frag = document.createDocumentFragment();
+    for (const rec of records) frag.appendChild(lineFor(rec));
+    el.lines.appendChild(frag);
+    state.shown += records.length;
+    while (state.shown > MAX_LINES) {
+        el.lines.firstChild.remove();
+        state.shown--;
+    }
+    updateCount();
+    if (atBottom) window.scrollTo(0, document.body.scrollHeight);
+}
+
+async function connect() {
+    const gen = ++state.gen; // a newer connect() supersedes this one
+    if (state.es) state.es.close();
+    state.es = null;
+    el.lines.textContent = '';
+    state.shown = 0;
+    state.pending = [];
+    updateCount();
+
+    // EventSource hides the HTTP status, so check access with a plain request first
+    const probe = await fetch('/admin/logs?limit=1', { credentials: 'same-origin' }).catch(() => null);
+    if (gen !== state.gen) return;
+    if (!probe || !probe.ok) {
+        const status = probe ? probe.status : 'network error';
+        const hint = status === 401 ? ' — log in as an admin on the members page' : status === 403 ? ' — admin role required' : '';
+        return setState(`Cannot read logs (${status})${hint}`, true);
+    }
+    addSources((await probe.json()).sources);
+    if (gen !== state.gen) return;
+
+    const es = new EventSource('/admin/logs/stream?' + filterParams());
+    state.es = es;
+    es.addEventListener('ready', (e) => {
+        addSources(JSON.parse(e.data).sources);
+        setState(state.paused ? 'Paused' : 'Live');
+    });
+    es.addEventListener('log', (e) => {
+        const rec = JSON.parse(e.data);
+        addSources([rec.source]);
+        if (state.paused) { state.pending.push(rec); updateCount(); }
+        else render([rec]);
+    });
+    es.onerror = () => setState('Disconnected — retrying…', true);
+}
+
+function togglePause() {
+    state.paused = !state.paused;
+    el.pause.textContent = state.paused ? 'Resume' : 'Pause';
+    setState(state.paused ? 'Paused' : 'Live');
+    if (!state.paused && state.pending.length) {
+        const batch = state.pending;
+        state.pending = [];
+        render(batch);
+    }
+    updateCount();
+}
+
+let debounce = null;
+const reconnectSoon = () => { clearTimeout(debounce); debounce = setTimeout(connect, 300); };
+
+el.level.addEventListener('change', connect);
+el.source.addEventListener('change', connect);
+el.since.addEventListener('change', connect);
+el.q.addEventListener('input', reconnectSoon);
+el.pause.addEventListener('click', togglePause);
+el.clear.addEventListener('click', () => { el.lines.textContent = ''; state.shown = 0; updateCount(); });
+document.addEventListener('keydown', (e) => {
+    if (e.key.toLowerCase() === 'p' && e.target === document.body) togglePause();
+});
+
+sendLog('[admin_logs.html] log viewer opened');
+connect();
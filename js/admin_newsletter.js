@@ -0,0 +1,140 @@
+// js/admin_newsletter.js — subscribers and digest for admin_newsletter.html (lib/newsletter.js)
+// Lists subscribers from GET /admin/newsletter/subscribers; the digest draft (posts published
+// since the last send) comes from GET /admin/newsletter/digest and is sent with POST.
+
+const el = {
+    status: document.getElementById('status'),
+    reload: document.getElementById('reload'),
+    state: document.getElementById('state'),
+    counts: document.getElementById('counts'),
+    subscribers: document.getElementById('subscribers'),
+    since: document.getElementById('since'),
+    subject: document.getElementById('subject'),
+    intro: document.getElementById('intro'),
+    posts: document.getElementById('posts'),
+    preview: document.getElementById('preview'),
+    send: document.getElementById('send'),
+};
+let draft = null;
+
+function setState(text, isError = false) {
+    el.state.textContent = text;
+    el.state.className = isError ? 'error' : 'muted';
+}
+
+function explain(res, body) {
+    if (res.status === 401) return 'log in as an admin on the members page';
+    if (res.status === 403) return 'admin role required';
+    return body.detail || `HTTP ${res.status}`;
+}
+
+async function getJSON(url, init = {}) {
+    const res = await fetch(url, { credentials: 'same-origin', ...init }).catch(() => null);
+    const body = res ? await res.json().catch(() => ({})) : {};
+    if (!res || !res.ok) throw new Error(res ? explain(res, body) : 'network error');
+    return body;
+}
+
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+function cell(text, cls = '') {
+    const td = document.createElement('td');
+    td.className = cls;
+    td.textContent = text;
+    return td;
+}
+
+async function loadSubscribers() {
+    const body = await getJSON(`/admin/newsletter/subscribers?status=${encodeURIComponent(el.status.value)}`);
+    el.subscribers.textContent = '';
+    for (const s of body.subscribers) {
+        const tr = document.createElement('tr');
+        tr.append(cell(s.email), cell(s.status, `status ${s.status}`), cell(when(s.createdAt)), cell(when(s.confirmedAt)));
+        el.subscribers.appendChild(tr);
+    }
+    el.counts.textContent = Object.entries(body.counts).map(([k, n]) => `${n} ${k}`).join(' · ');
+    return body.subscribers.length;
+}
+
+function chosenPosts() {
+    const ids = [...el.posts.querySelectorAll('input:checked')].map(i => i.value);
+    return draft.posts.filter(p => ids.includes(String(p.id)));
+}
+
+// Same layout as the text part built by sendDigest() in lib/newsletter.js
+function renderPreview() {
+    const intro = el.intro.value.trim();
+    const posts = chosenPosts();
+    el.preview.textContent = (intro ? `${intro}\n\n` : '') + posts.map(p => `${p.title}\n${p.url}\n${p.excerpt}`.trim()).join('\n\n');
+    el.send.disabled = !posts.length || !draft.recipients;
+    el.send.textContent = `Send digest to ${draft.recipients} subscriber${draft.recipients === 1 ? '' : 's'}`;
+}
+
+async function loadDigest() {
+    draft = await getJSON('/admin/newsletter/digest');
+    el.since.textContent = draft.since ? `since ${when(draft.since)} (“${draft.lastSubject}”)` : 'no digest sent yet';
+    el.subject.value = draft.subject;
+    el.posts.textContent = '';
+    if (!draft.posts.length) el.posts.textContent = 'No new posts since the last digest.';
+    for (const p of draft.posts) {
+        const row = document.createElement('label');
+        row.className = 'post';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = String(p.id);
+        box.checked = true;
+        box.addEventListener('change', renderPreview);
+        const text = document.createElement('div');
+        const title = document.createElement('a');
+        title.href = p.url;
+        title.target = '_blank';
+        title.textContent = p.title;
+        const excerpt = document.createElement('div');
+        excerpt.className = 'excerpt';
+        excerpt.textContent = `${p.date || ''} ${p.excerpt}`.trim();
+        text.append(title, excerpt);
+        row.append(box, text);
+        el.posts.appendChild(row);
+    }
+    renderPreview();
+}
+
+async function load() {
+    setState('Loading…');
+    try {
+        const n = await loadSubscribers();
+        await loadDigest();
+        setState(`${n} subscriber${n === 1 ? '' : 's'}`);
+    } catch (e) {
+        setState(`Cannot read the newsletter (${e.message})`, true);
+    }
+}
+
+async function send() {
+    const posts = chosenPosts();
+    if (!confirm(`Send “${el.subject.value}” (${posts.length} post${posts.length === 1 ? '' : 's'}) to ${draft.recipients} subscriber${draft.recipients === 1 ? '' : 's'}?`)) return;
+    el.send.disabled = true;
+    setState('Sending…');
+    try {
+        const body = await getJSON('/admin/newsletter/digest', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subject: el.subject.value, intro: el.intro.value, postIds: posts.map(p => p.id) }),
+        });
+        sendLog(`[admin_newsletter.html] digest sent to ${body.sent}/${body.recipients}`);
+        el.intro.value = '';
+        await loadDigest();
+        setState(`Digest sent to ${body.sent} of ${body.recipients}` + (body.failed.length ? `; failed: ${body.failed.join(', ')}` : '.'), body.failed.length > 0);
+    } catch (e) {
+        setState(`Not sent (${e.message})`, true);
+        renderPreview();
+    }
+}
+
+el.status.addEventListener('change', () => loadSubscribers().catch(e => setState(`Cannot read subscribers (${e.message})`, true)));
+el.reload.addEventListener('click', load);
+el.intro.addEventListener('input', renderPreview);
+el.send.addEventListener('click', send);
+
+sendLog('[admin_newsletter.html] newsletter admin opened');
+load();
@@ -1,6 +1,6 @@
 // ====== Michel Blog Script ======
 // Goals: minimal JS to render posts (featured + grid), simple nav toggle,
-// and a placeholder 'newsletter' handler. No dependencies.
+// the newsletter sign-up form and the en / fr language switcher (I18N below). No dependencies.
 //
 // Data source: posts.json (static). In production, back it with a CMS.
 // Each function is small, commented, and deterministic.
@@ -9,6 +9,145 @@
 const qs = (sel, el=document) => el.querySelector(sel);
 const qsa = (sel, el=document) => [...el.querySelectorAll(sel)];
 
+// ====== Messages (en / fr) ======
+// Like bookstore.html: static text in the pages carries data-i18n="<key>" (placeholders:
+// data-i18n-placeholder), applied by i18nApply(); text built here goes through t(key, vars),
+// where {name} is replaced by vars.name. A key missing in a language falls back to English.
+const LOCALES = ['en', 'fr'];
+const DEFAULT_LOCALE = 'en'; // config.site.language: the language of posts without `lang`
+const LANG_KEY = 'blog.lang';
+const I18N = {
+  en: {
+    'label.language': 'Language',
+    'lang.en': 'English', 'lang.fr': 'French',
+    'nav.home': 'Home', 'nav.about': 'About', 'nav.research': 'Research', 'nav.blog': 'Blog',
+    'nav.manage': 'Manage Posts', 'nav.contact': 'Contact',
+    'blog.title': 'Blog', 'blog.featured': 'Featured', 'blog.all': 'All posts', 'blog.empty': 'No posts here yet.',
+    'blog.count.one': '{n} post', 'blog.count.many': '{n} posts', 'blog.showAll': 'Show all posts',
+    'view.category': 'Category: {value}', 'view.tag': 'Tag: {value}', 'view.month': 'Archive: {value}',
+    'page.prev': '← Previous', 'page.next': 'Next →',
+    'sidebar.categories': 'Categories', 'sidebar.tags': 'Tags', 'sidebar.archives': 'Archives', 'sidebar.none': 'None yet.',
+    'search.label': 'Search posts', 'search.placeholder': 'Search posts…', 'search.title': 'Search results',
+    'search.running': 'Searching…', 'search.none': 'No posts match “{q}”.',
+    'search.one': '1 post matches “{q}”.', 'search.many': '{n} posts match “{q}”.', 'search.unavailable': 'Search is unavailable right now.',
+    'post.loading': 'Loading…', 'post.notFound': 'Post not found.', 'post.by': 'By {author}', 'post.essay': 'Essay',
+    'post.untranslated': 'Only available in {language}.',
+    'comments.title': 'Comments', 'comments.leave': 'Leave a comment', 'comments.replyingTo': 'Replying to', 'comments.cancel': 'Cancel',
+    'comments.name': 'Name', 'comments.email': 'Email (optional, never shown)', 'comments.body': 'Comment', 'comments.submit': 'Post comment',
+    'comments.none': 'No comments yet. Be the first!', 'comments.reply': 'Reply', 'comments.sending': 'Sending…',
+    'comments.tooMany': 'Too many comments from you just now; please try again in a minute.',
+    'comments.failed': 'Could not post the comment (HTTP {status}).', 'comments.offline': 'Could not post the comment; check your connection.',
+    'comments.posted': 'Comment posted.', 'comments.pending': 'Thanks! Your comment will appear once it has been approved.',
+    'footer.credentials': 'Credentials', 'footer.credentialsText': 'PhD, Nuclear Engineering • Researcher, Philosophy of Science',
+    'footer.elsewhere': 'Elsewhere', 'footer.newsletter': 'Newsletter', 'footer.rights': 'All rights reserved.',
+    'newsletter.label': 'Get updates (email):', 'newsletter.submit': 'Subscribe',
+    'newsletter.note': 'We’ll email you a link to confirm. We never share your address.',
+    'newsletter.empty': 'Please enter an email.', 'newsletter.pending': 'Almost there: check your inbox for the confirmation link.',
+    'newsletter.tooMany': 'Too many attempts; please try again in a minute.', 'newsletter.failed': 'Could not subscribe; please try again later.'
+  },
+  fr: {
+    'label.language': 'Langue',
+    'lang.en': 'anglais', 'lang.fr': 'français',
+    'nav.home': 'Accueil', 'nav.about': 'À propos', 'nav.research': 'Recherche', 'nav.blog': 'Blogue',
+    'nav.manage': 'Gérer les billets', 'nav.contact': 'Contact',
+    'blog.title': 'Blogue', 'blog.featured': 'À la une', 'blog.all': 'Tous les billets', 'blog.empty': 'Aucun billet ici pour l’instant.',
+    'blog.count.one': '{n} billet', 'blog.count.many': '{n} billets', 'blog.showAll': 'Voir tous les billets',
+    'view.category': 'Catégorie : {value}', 'view.tag': 'Étiquette : {value}', 'view.month': 'Archives : {value}',
+    'page.prev': '← Précédente', 'page.next': 'Suivante →',
+    'sidebar.categories': 'Catégories', 'sidebar.tags': 'Étiquettes', 'sidebar.archives': 'Archives', 'sidebar.none': 'Aucune pour l’instant.',
+    'search.label': 'Rechercher dans les billets', 'search.placeholder': 'Rechercher…', 'search.title': 'Résultats de la recherche',
+    'search.running': 'Recherche…', 'search.none': 'Aucun billet ne correspond à « {q} ».',
+    'search.one': '1 billet correspond à « {q} ».', 'search.many': '{n} billets correspondent à « {q} ».', 'search.unavailable': 'La recherche est indisponible pour le moment.',
+    'post.loading': 'Chargement…', 'post.notFound': 'Billet introuvable.', 'post.by': 'Par {author}', 'post.essay': 'Essai',
+    'post.untranslated': 'Disponible seulement en {language}.',
+    'comments.title': 'Commentaires', 'comments.leave': 'Laisser un commentaire', 'comments.replyingTo': 'En réponse à', 'comments.cancel': 'Annuler',
+    'comments.name': 'Nom', 'comments.email': 'Courriel (facultatif, jamais affiché)', 'comments.body': 'Commentaire', 'comments.submit': 'Publier le commentaire',
+    'comments.none': 'Aucun commentaire pour l’instant. Soyez le premier !', 'comments.reply': 'Répondre', 'comments.sending': 'Envoi…',
+    'comments.tooMany': 'Trop de commentaires de votre part en peu de temps; réessayez dans une minute.',
+    'comments.failed': 'Le commentaire n’a pas pu être publié (HTTP {status}).', 'comments.offline': 'Le commentaire n’a pas pu être publié; vérifiez votre connexion.',
+    'comments.posted': 'Commentaire publié.', 'comments.pending': 'Merci ! Votre commentaire paraîtra une fois approuvé.',
+    'footer.credentials': 'Parcours', 'footer.credentialsText': 'Ph. D., génie nucléaire • Chercheur, philosophie des sciences',
+    'footer.elsewhere': 'Ailleurs', 'footer.newsletter': 'Infolettre', 'footer.rights': 'Tous droits réservés.',
+    'newsletter.label': 'Recevoir les nouveautés (courriel) :', 'newsletter.submit': 'S’abonner',
+    'newsletter.note': 'Nous vous enverrons un lien de confirmation. Votre adresse n’est jamais partagée.',
+    'newsletter.empty': 'Veuillez entrer une adresse courriel.', 'newsletter.pending': 'Presque fini : le lien de confirmation vous attend dans votre boîte de réception.',
+    'newsletter.tooMany': 'Trop de tentatives; réessayez dans une minute.', 'newsletter.failed': 'Abonnement impossible pour le moment; réessayez plus tard.'
+  }
+};
+
+// Language: ?lang= (shared links, hreflang alternates), else the reader's last choice, else the browser's
+function pickLocale(){
+  const fromUrl = new URL(location.href).searchParams.get('lang');
+  let saved = null;
+  try{
+    if (LOCALES.includes(fromUrl)) localStorage.setItem(LANG_KEY, fromUrl);
+    saved = localStorage.getItem(LANG_KEY);
+  }catch{ /* storage disabled: the choice lasts for this page only */ }
+  if (LOCALES.includes(fromUrl)) return fromUrl;
+  if (LOCALES.includes(saved)) return saved;
+  const browser = (navigator.languages || [navigator.language]).map(l => String(l).slice(0, 2).toLowerCase());
+  return browser.find(l => LOCALES.includes(l)) || DEFAULT_LOCALE;
+}
+let currentLocale = pickLocale();
+
+function t(key, vars = {}){
+  const str = I18N[currentLocale]?.[key] ?? I18N.en[key] ?? key;
+  return str.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+const plural = (key, n, vars = {}) => t(`${key}.${n === 1 ? 'one' : 'many'}`, {n, ...vars});
+
+function i18nApply(){
+  qsa('[data-i18n]').forEach(node => { node.textContent = t(node.dataset.i18n); });
+  qsa('[data-i18n-placeholder]').forEach(node => { node.placeholder = t(node.dataset.i18nPlaceholder); });
+}
+
+// Language switcher (#lang-select): remembers the choice, then reloads with ?lang= so every
+// view, and the server-rendered /posts/<slug> pages (lib/post_pages.js), start from it
+function bootLanguage(){
+  document.documentElement.lang = currentLocale;
+  i18nApply();
+  const select = qs('#lang-select');
+  if (!select) return;
+  select.value = currentLocale;
+  select.addEventListener('change', () => {
+    try{ localStorage.setItem(LANG_KEY, select.value); }catch{ }
+    const url = new URL(location.href);
+    url.searchParams.set('lang', select.value);
+    location.assign(url);
+  });
+}
+
+// <link rel="alternate" hreflang> for each language of this page: ?lang=<xx>, or no ?lang= for
+// `own` (a post's own language) and x-default. Server-rendered post pages already have theirs
+// (lib/static_build.js alternatesOf).
+function hreflangLinks(languages = LOCALES, own = null){
+  if (qs('link[rel="alternate"][hreflang]')) return;
+  const href = (lang) => {
+    const url = new URL(location.href);
+    if (lang && lang !== own) url.searchParams.set('lang', lang); else url.searchParams.delete('lang');
+    return url.href;
+  };
+  for (const lang of [...languages, 'x-default']){
+    const link = document.createElement('link');
+    link.rel = 'alternate';
+    link.hreflang = lang;
+    link.href = href(lang === 'x-default' ? null : lang);
+    document.head.appendChild(link);
+  }
+}
+
+// Same as localize() in lib/posts.js: the post's translation for `locale` when it has one,
+// else the post in its own language; `languages` lists every language it exists in
+function localize(p, locale){
+  const { translations = {}, ...base } = p;
+  const own = p.lang || DEFAULT_LOCALE;
+  const tr = locale !== own ? translations[locale] : null;
+  return {...base, ...(tr || {}), lang: tr ? locale : own, languages: [own, ...Object.keys(translations).filter(l => l !== own)]};
+}
+
+// lang="" for content shown in a language other than the page's (untranslated posts)
+const langAttr = (p) => (p.lang && p.lang !== currentLocale ? ` lang="${escapeHTML(p.lang)}"` : '');
+
 // Wire up common UI on DOMContentLoaded
 document.addEventListener('DOMContentLoaded', () => {
   // Mobile nav
@@ -25,35 +164,66 @@ document.addEventListener('DOMContentLoaded', () => {
   const year = qs('#year');
   if (year){ year.textContent = String(new Date().getFullYear()); }
 
+  // Language of a server-rendered post page: the article's, before the switcher sets the UI's
+  const pageLang = document.documentElement.lang;
+  bootLanguage();
+
   // Page-specific boot
   const page = qs('main')?.dataset?.page;
   if (page === 'home'){ bootHome(); }
-  if (page === 'blog'){ bootBlog(); }
+  if (page === 'blog'){ bootBlog(); hreflangLinks(); }
   if (page === 'post'){ bootPost(); }
+  if (page === 'post-static'){ bootStaticPost(qs('main').dataset.postId, pageLang); }
 
-  // Newsletter demo (no network; simply acknowledge)
+  // Newsletter: double opt-in via /api/newsletter/subscribe (lib/newsletter.js); without JS the form posts itself
   const form = qs('#newsletter-form');
   if (form){
-    form.addEventListener('submit', (e) => {
+    form.addEventListener('submit', async (e) => {
       e.preventDefault();
+      const status = qs('#newsletter-status');
+      const button = qs('button[type=submit]', form);
       const email = qs('#email')?.value?.trim();
-      if(!email){ alert('Please enter an email.'); return; }
-      alert('Thanks! (Demo only — connect a real provider later.)');
-      form.reset();
+      if(!email){ status.textContent = t('newsletter.empty'); return; }
+      button.disabled = true;
+      try{
+        const res = await fetch('/api/newsletter/subscribe', {
+          method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ email })
+        });
+        const body = await res.json().catch(() => ({}));
+        if (res.ok){ status.textContent = t('newsletter.pending'); form.reset(); }
+        else if (res.status === 429){ status.textContent = t('newsletter.tooMany'); }
+        else { status.textContent = body.detail || t('newsletter.failed'); }
+      }catch{
+        status.textContent = t('newsletter.failed');
+      }finally{
+        button.disabled = false;
+      }
     });
   }
 });
 
-// Load posts.json (works when served over HTTP; file:// disallows fetch in some browsers)
+// Load posts.json (works when served over HTTP; file:// disallows fetch in some browsers),
+// each post in the reader's language when it has a translation
 async function loadPosts(){
-    const res = await fetch('assets/posts/posts.json', {cache:'no-store'});
+    const res = await fetch(rootPath() + 'assets/posts/posts.json', {cache:'no-store'});
     if (!res.ok) { throw new Error('Failed to load posts.json'); }
-  const posts = await res.json();
-  // Sort newest first by date (ISO YYYY-MM-DD)
-  posts.sort((a,b) => (a.date < b.date ? 1 : -1));
+  const now = Date.now();
+  // The server already leaves unpublished posts out; the raw file (no server) still has them
+  const posts = (await res.json()).filter(p => isPublic(p, now)).map(p => localize(p, currentLocale));
+  // Newest first by date (YYYY-MM-DD, checked by lib/post_check.js); an unreadable date sorts last
+  const time = (p) => Date.parse(p.date) || 0;
+  posts.sort((a,b) => time(b) - time(a));
   return posts;
 }
 
+// Same rule as isPublished() in lib/posts.js: no status = published; scheduled waits for publishAt
+function isPublic(p, now){
+  const status = p.status || 'published';
+  if (status !== 'published' && status !== 'scheduled') return false;
+  if (!p.publishAt) return status === 'published';
+  return Date.parse(p.publishAt) <= now;
+}
+
 
 // HOME: featured + recent
 async function bootHome(){
@@ -67,42 +237,360 @@ async function bootHome(){
   }
 }
 
-// BLOG: featured + full grid
+// BLOG: featured + paginated grid, or an archive (?category= | ?tag= | ?month=YYYY-MM),
+// with ?page=N. Links keep real hrefs (new tab / no JS still work); on this page,
+// clicks on [data-view] links go through history.pushState and popstate re-renders,
+// so back/forward step through the views. Page size: <main data-page-size>.
 async function bootBlog(){
+  let posts = [];
   try{
-    const posts = await loadPosts();
-    const featured = posts.find(p => p.featured) || posts[0];
-    renderFeature(qs('#blog-featured'), featured);
-    renderGrid(qs('#posts-grid'), posts.filter(p => p.id !== featured.id));
+    posts = await loadPosts();
   }catch(err){
     console.error(err);
   }
+  const syncSearch = bootSearch();
+  const baseTitle = document.title;
+  const render = () => {
+    const view = blogView(location.href);
+    renderBlog(posts, view);
+    document.title = view.kind ? `${viewLabel(view)} — ${baseTitle}` : baseTitle;
+    syncSearch?.();
+  };
+
+  renderSidebar(qs('#blog-sidebar'), posts);
+  render();
+
+  document.addEventListener('click', (e) => {
+    const a = e.target.closest('a[data-view]');
+    if (!a || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    if (a.href !== location.href) history.pushState(null, '', a.href);
+    render();
+    qs('#blog-main')?.scrollIntoView({block:'start'});
+  });
+  window.addEventListener('popstate', render);
+}
+
+// { kind: 'category' | 'tag' | 'month' | null, value, page } from a blog.html URL
+function blogView(href){
+  const params = new URL(href).searchParams;
+  const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+  for (const kind of ['category', 'tag', 'month']){
+    const value = params.get(kind)?.trim();
+    if (!value || (kind === 'month' && !/^\d{4}-\d{2}$/.test(value))) continue;
+    return {kind, value, page};
+  }
+  return {kind: null, value: '', page};
+}
+
+function viewHref({kind, value, page = 1}){
+  const params = new URLSearchParams();
+  if (kind) params.set(kind, value);
+  if (page > 1) params.set('page', String(page));
+  const query = params.toString();
+  return 'blog.html' + (query ? `?${query}` : '');
+}
+
+function viewLabel({kind, value}){
+  if (kind === 'category') return t('view.category', {value});
+  if (kind === 'tag') return t('view.tag', {value});
+  if (kind === 'month') return t('view.month', {value: monthLabel(value)});
+  return t('blog.all');
+}
+
+// "2025-10" -> "October 2025" / "octobre 2025"
+function monthLabel(ym){
+  return new Date(`${ym}-01T00:00:00Z`).toLocaleDateString(currentLocale, {month:'long', year:'numeric', timeZone:'UTC'});
+}
+
+const sameLabel = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+function inView(p, {kind, value}){
+  if (kind === 'category') return sameLabel(p.category || '', value);
+  if (kind === 'tag') return (p.tags || []).some(t => sameLabel(t, value));
+  if (kind === 'month') return String(p.date || '').startsWith(value);
+  return true;
+}
+
+function renderBlog(posts, view){
+  const size = Math.max(1, parseInt(qs('main')?.dataset?.pageSize, 10) || 9);
+  // The featured post heads the unfiltered first page and is left out of the grid
+  const featured = view.kind ? null : (posts.find(p => p.featured) || posts[0]);
+  const list = posts.filter(p => p !== featured && inView(p, view));
+  const pages = Math.max(1, Math.ceil(list.length / size));
+  const page = Math.min(view.page, pages);
+
+  const featuredSection = qs('#blog-featured-section');
+  if (featuredSection) featuredSection.hidden = !featured || page > 1;
+  if (featured) renderFeature(qs('#blog-featured'), featured);
+
+  qs('#all-posts-title').textContent = viewLabel(view);
+  const note = qs('#archive-note');
+  if (note){
+    note.hidden = !view.kind;
+    note.innerHTML = view.kind
+      ? `${escapeHTML(plural('blog.count', list.length))} • <a href="blog.html" data-view>${escapeHTML(t('blog.showAll'))}</a>` : '';
+  }
+  const grid = qs('#posts-grid');
+  renderGrid(grid, list.slice((page - 1) * size, page * size));
+  if (!list.length) grid.innerHTML = `<p>${escapeHTML(t('blog.empty'))}</p>`;
+  renderPagination(qs('#pagination'), view, page, pages);
+}
+
+// Numbered pages: first, last and two around the current one, gaps shown as "…"
+function renderPagination(el, view, page, pages){
+  if (!el) return;
+  el.hidden = pages <= 1;
+  if (pages <= 1){ el.innerHTML = ''; return; }
+  const link = (n, label, rel) => `<a href="${escapeHTML(viewHref({...view, page: n}))}" data-view${rel ? ` rel="${rel}"` : ''}>${label}</a>`;
+  const items = [];
+  if (page > 1) items.push(link(page - 1, escapeHTML(t('page.prev')), 'prev'));
+  let last = 0;
+  for (let n = 1; n <= pages; n++){
+    if (n !== 1 && n !== pages && Math.abs(n - page) > 2) continue;
+    if (n - last > 1) items.push('<span class="gap">…</span>');
+    items.push(n === page ? `<span aria-current="page">${n}</span>` : link(n, String(n)));
+    last = n;
+  }
+  if (page < pages) items.push(link(page + 1, escapeHTML(t('page.next')), 'next'));
+  el.innerHTML = items.join('');
 }
 
-// POST: single article from ?id=
+// Sidebar: categories, tags and months, each with its post count
+function renderSidebar(el, posts){
+  if (!el) return;
+  const count = (labels) => {
+    const map = new Map(); // lowercased -> { label, n }; the first spelling seen is shown
+    for (const label of labels){
+      const key = label.toLowerCase();
+      if (!map.has(key)) map.set(key, {label, n: 0});
+      map.get(key).n++;
+    }
+    return [...map.values()];
+  };
+  const byCount = (a, b) => b.n - a.n || a.label.localeCompare(b.label);
+  const list = (kind, items, text = (x) => x) => items.length ? `<ul class="archive-list">${items.map(({label, n}) =>
+    `<li><a href="${escapeHTML(viewHref({kind, value: label}))}" data-view>${escapeHTML(text(label))}</a> <span class="count">${n}</span></li>`).join('')}</ul>`
+    : `<p class="meta">${escapeHTML(t('sidebar.none'))}</p>`;
+
+  const categories = count(posts.map(p => p.category).filter(Boolean)).sort(byCount);
+  const tags = count(posts.flatMap(p => p.tags || [])).sort(byCount);
+  const months = count(posts.map(p => String(p.date || '').slice(0, 7)).filter(m => /^\d{4}-\d{2}$/.test(m)))
+    .sort((a, b) => b.label.localeCompare(a.label));
+  el.innerHTML = `
+    <h2>${escapeHTML(t('sidebar.categories'))}</h2>${list('category', categories)}
+    <h2>${escapeHTML(t('sidebar.tags'))}</h2>${list('tag', tags)}
+    <h2>${escapeHTML(t('sidebar.archives'))}</h2>${list('month', months, monthLabel)}
+  `;
+}
+
+// BLOG: search box. Queries /api/posts/search as the user types (debounced, stale
+// requests aborted); results replace the featured post + grid until the box is cleared.
+// The query is kept in ?q= so a search can be linked and survives a reload.
+// Returns a function that re-reads ?q= (called on every blog view change).
+function bootSearch(){
+  const form = qs('#post-search');
+  const input = qs('#post-search-q');
+  const results = qs('#search-results');
+  if (!form || !input || !results) return;
+  const status = qs('#search-status');
+  const browse = qs('#blog-browse');
+  let timer = null;
+  let inflight = null;
+
+  const show = (searching) => {
+    results.hidden = !searching;
+    if (browse) browse.hidden = searching;
+  };
+
+  async function run(q){
+    inflight?.abort();
+    const url = new URL(location.href);
+    if (q) url.searchParams.set('q', q); else url.searchParams.delete('q');
+    history.replaceState(null, '', url);
+    if (!q){ show(false); return; }
+
+    inflight = new AbortController();
+    status.textContent = t('search.running');
+    show(true);
+    try{
+      const res = await fetch(`/api/posts/search?q=${encodeURIComponent(q)}&lang=${currentLocale}`, {signal: inflight.signal});
+      const data = await res.json();
+      if (!res.ok || !data.ok) throw new Error(data.detail || `HTTP ${res.status}`);
+      status.textContent = data.total === 0 ? t('search.none', {q}) : plural('search', data.total, {q});
+      qs('#search-grid').innerHTML = data.results.map(r => cardHTML(r.post, r.highlights)).join('');
+    }catch(err){
+      if (err.name === 'AbortError') return;
+      console.error(err);
+      status.textContent = t('search.unavailable');
+      qs('#search-grid').innerHTML = '';
+    }
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    clearTimeout(timer);
+    run(input.value.trim());
+  });
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => run(input.value.trim()), 250);
+  });
+
+  // Back/forward (and archive links, which drop ?q=) bring the box in line with the URL
+  return () => {
+    const q = new URL(location.href).searchParams.get('q')?.trim() || '';
+    if (q === input.value.trim() && results.hidden === !q) return;
+    input.value = q;
+    run(q);
+  };
+}
+
+// POST: single article from ?slug= or ?id= (the server redirects post.html?id= to
+// /posts/<slug>; this covers static hosting without it)
 async function bootPost(){
   try{
     const url = new URL(location.href);
+    const slug = url.searchParams.get('slug');
     const id = url.searchParams.get('id');
     const posts = await loadPosts();
-    const p = posts.find(x => String(x.id) === String(id));
+    const p = slug ? posts.find(x => x.slug === slug || (x.previousSlugs || []).includes(slug))
+      : posts.find(x => String(x.id) === String(id));
     const mount = qs('#post');
-    if(!p){ mount.innerHTML = '<p>Post not found.</p>'; return; }
+    if(!p){ mount.innerHTML = `<p>${escapeHTML(t('post.notFound'))}</p>`; return; }
     mount.innerHTML = articleHTML(p, true);
     document.title = p.title + ' — Michel';
+    hreflangLinks(p.languages, p.languages[0]);
+    bootComments(p.id);
   }catch(err){
     console.error(err);
   }
 }
 
+// POST, page rendered by the server or `npm run build` (lib/static_build.js) in `pageLang`,
+// the post's own language (or the ?lang= translation). When the reader's language differs
+// and the post has that translation, it replaces the article (a static host ignores ?lang=).
+async function bootStaticPost(postId, pageLang){
+  bootComments(postId);
+  if (!pageLang || pageLang === currentLocale) return;
+  const mount = qs('#post');
+  try{
+    const p = (await loadPosts()).find(x => String(x.id) === String(postId));
+    if (!p) return;
+    if (p.lang === currentLocale){
+      const shown = qs('h1', mount)?.textContent || '';
+      mount.innerHTML = rerooted(articleHTML(p, true));
+      if (shown) document.title = document.title.replace(shown, p.title);
+    }else{
+      mount.lang = pageLang;
+      qs('header', mount)?.insertAdjacentHTML('beforeend', untranslatedHTML(p));
+    }
+  }catch(err){
+    console.error(err);
+  }
+}
+
+// COMMENTS (lib/comments.js): approved comments threaded under the article, a form
+// to comment or reply (new comments wait for moderation). The section stays hidden
+// when the server does not answer (static hosting, unpublished post).
+async function bootComments(postId){
+  const section = qs('#comments');
+  if (!section || postId === undefined || postId === '') return;
+  const api = `/api/comments?post=${encodeURIComponent(postId)}`;
+  const load = async () => {
+    const res = await fetch(api, {cache:'no-store'});
+    if (!res.ok) throw new Error(`comments: HTTP ${res.status}`);
+    renderComments(qs('#comment-list'), (await res.json()).comments);
+  };
+  try{ await load(); }catch(err){ console.warn(err); return; }
+  section.hidden = false;
+
+  const form = qs('#comment-form');
+  const status = qs('#comment-status');
+  const replying = qs('#comment-replying');
+  let parentId = null;
+  const replyTo = (id, author) => {
+    parentId = id;
+    replying.hidden = id === null;
+    qs('strong', replying).textContent = author || '';
+  };
+  qs('#comment-list').addEventListener('click', (e) => {
+    const link = e.target.closest('[data-reply]');
+    if (!link) return;
+    e.preventDefault();
+    replyTo(Number(link.dataset.reply), link.dataset.author);
+    qs('#comment-body').focus();
+  });
+  qs('#comment-cancel-reply').addEventListener('click', () => replyTo(null));
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const data = Object.fromEntries(new FormData(form));
+    const button = qs('button[type=submit]', form);
+    button.disabled = true;
+    status.textContent = t('comments.sending');
+    try{
+      const res = await fetch('/api/comments', {
+        method:'POST', headers:{'Content-Type':'application/json'}, credentials:'same-origin',
+        body: JSON.stringify({ post: postId, parentId, ...data })
+      });
+      const body = await res.json().catch(() => ({}));
+      if (res.status === 429){ status.textContent = t('comments.tooMany'); return; }
+      if (!res.ok){ status.textContent = body.detail || t('comments.failed', {status: res.status}); return; }
+      form.reset(); replyTo(null);
+      if (body.comment.status === 'approved'){ status.textContent = t('comments.posted'); await load(); }
+      else status.textContent = t('comments.pending');
+    }catch(err){
+      console.error(err);
+      status.textContent = t('comments.offline');
+    }finally{
+      button.disabled = false;
+    }
+  });
+}
+
+// Threads from the flat list: replies under their parent; a reply whose parent
+// is no longer shown goes to the top level
+function renderComments(el, comments){
+  if (!el) return;
+  const ids = new Set(comments.map(c => c.id));
+  const children = new Map();
+  for (const c of comments){
+    const key = ids.has(c.parentId) ? c.parentId : null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(c);
+  }
+  const thread = (parent) => (children.get(parent) || []).map(c => commentHTML(c, thread(c.id))).join('');
+  el.innerHTML = comments.length ? thread(null) : `<p class="note">${escapeHTML(t('comments.none'))}</p>`;
+}
+
+// Everything from the reader is escaped; blank lines split paragraphs
+function commentHTML(c, replies){
+  const paragraphs = String(c.body).split(/\n{2,}/).map(p => `<p>${escapeHTML(p).replace(/\n/g, '<br>')}</p>`).join('');
+  const when = new Date(c.createdAt);
+  return `
+  <article class="comment" id="comment-${Number(c.id)}">
+    <header>
+      <strong>${escapeHTML(c.author)}</strong>
+      <time datetime="${escapeHTML(c.createdAt)}">${escapeHTML(when.toLocaleDateString(currentLocale, {year:'numeric', month:'long', day:'numeric'}))}</time>
+    </header>
+    <div class="comment-body">${paragraphs}</div>
+    <a href="#comment-form" class="reply" data-reply="${Number(c.id)}" data-author="${escapeHTML(c.author)}">${escapeHTML(t('comments.reply'))}</a>
+    ${replies ? `<div class="replies">${replies}</div>` : ''}
+  </article>`;
+}
+
 // Render helpers
 function renderFeature(el, post){
   if(!el || !post) return;
+  if (post.lang !== currentLocale) el.lang = post.lang; else el.removeAttribute('lang');
   el.innerHTML = `
-    <img src="${post.cover || 'assets/cover.jpg'}" alt="" loading="lazy">
+    <img src="${coverSrc(post)}" alt="" loading="lazy">
     <div>
-      <a class="meta" href="post.html?id=${post.id}">${escapeHTML(post.category || 'Essay')}</a>
-      <h3><a href="post.html?id=${post.id}">${escapeHTML(post.title)}</a></h3>
+      ${post.category
+        ? `<a class="meta" href="${escapeHTML(viewHref({kind:'category', value:post.category}))}" data-view>${escapeHTML(post.category)}</a>`
+        : `<span class="meta">${escapeHTML(t('post.essay'))}</span>`}
+      <h3><a href="${postHref(post)}">${escapeHTML(post.title)}</a></h3>
       <p class="meta">${escapeHTML(post.date)} • ${escapeHTML(post.readingTime || '5 min')}</p>
       <p>${escapeHTML(post.excerpt)}</p>
     </div>
@@ -111,35 +599,91 @@ function renderFeature(el, post){
 
 function renderGrid(el, posts){
   if(!el) return;
-  el.innerHTML = posts.map(cardHTML).join('');
+  el.innerHTML = posts.map(p => cardHTML(p)).join('');
 }
 
-function cardHTML(p){
+// hl: optional search highlights ({ title, snippet } HTML from /api/posts/search,
+// matches in <mark>); they replace the plain title / excerpt
+function cardHTML(p, hl){
+  const marked = (html) => sanitizeHTML(html).html;
   return `
-  <article class="card">
-    <a href="post.html?id=${p.id}">
-      <img src="${p.cover || 'assets/cover.jpg'}" alt="" loading="lazy" style="width:100%;border-radius:8px;border:1px solid var(--border)">
-      <h3>${escapeHTML(p.title)}</h3>
+  <article class="card"${langAttr(p)}>
+    <a href="${postHref(p)}">
+      <img src="${coverSrc(p)}" alt="" loading="lazy" style="width:100%;border-radius:8px;border:1px solid var(--border)">
+      <h3>${hl?.title ? marked(hl.title) : escapeHTML(p.title)}</h3>
       <p class="meta">${escapeHTML(p.date)} • ${escapeHTML(p.readingTime || '5 min')}</p>
-      <p>${escapeHTML(p.excerpt)}</p>
+      <p>${hl?.snippet ? marked(hl.snippet) : escapeHTML(p.excerpt)}</p>
     </a>
+    ${labelsHTML(p)}
   </article>`;
 }
 
 function articleHTML(p, full=false){
   return `
     <header class="prose">
-      <p class="meta">${escapeHTML(p.date)} • ${escapeHTML(p.readingTime || '5 min')} • ${escapeHTML(p.category || 'Essay')}</p>
-      <h1>${escapeHTML(p.title)}</h1>
-      ${p.cover ? `<img src="${p.cover}" alt="">` : ''}
-      <p class="meta">By Michel</p>
+      <p class="meta">${escapeHTML(p.date)} • ${escapeHTML(p.readingTime || '5 min')} • ${p.category
+        ? `<a href="${escapeHTML(viewHref({kind:'category', value:p.category}))}">${escapeHTML(p.category)}</a>` : escapeHTML(t('post.essay'))}</p>
+      <h1${langAttr(p)}>${escapeHTML(p.title)}</h1>
+      ${sanitizeURL(p.cover) ? `<img src="${coverSrc(p)}" alt="">` : ''}
+      <p class="meta">${escapeHTML(t('post.by', {author: 'Michel'}))}</p>
+      ${labelsHTML(p, false)}
+      ${untranslatedHTML(p)}
     </header>
-    <div class="prose">
-      ${full ? p.html || `<p>${escapeHTML(p.excerpt)}</p>` : `<p>${escapeHTML(p.excerpt)}</p>`}
+    <div class="prose"${langAttr(p)}>
+      ${full ? bodyHTML(p) : `<p>${escapeHTML(p.excerpt)}</p>`}
     </div>
   `;
 }
 
+// Category + tag links to the blog archives (outside the card's own link)
+function labelsHTML(p, withCategory=true){
+  const links = [
+    ...(withCategory && p.category ? [['category', p.category]] : []),
+    ...(p.tags || []).map(t => ['tag', t])
+  ].map(([kind, value]) => `<a href="${escapeHTML(viewHref({kind, value}))}" class="label label-${kind}" data-view>${kind === 'tag' ? '#' : ''}${escapeHTML(value)}</a>`);
+  return links.length ? `<p class="labels">${links.join(' ')}</p>` : '';
+}
+
+// Article body. Markdown posts are rendered by the server on save (lib/markdown.js),
+// so their `html` is that rendered output; the raw `markdown` is never shown.
+// The server sanitizes on save; sanitizing again here covers hand-edited posts.json.
+function bodyHTML(p){
+  if (!p.html) return `<p>${escapeHTML(p.excerpt)}</p>`;
+  const { html, removed } = sanitizeHTML(p.html);
+  if (removed.length) console.warn(`Post ${p.id}: removed ${removed.join(', ')}`);
+  return html;
+}
+
+// "Only available in French." under a post shown in another language than the reader's
+function untranslatedHTML(p){
+  return p.lang && p.lang !== currentLocale
+    ? `<p class="meta untranslated">${escapeHTML(t('post.untranslated', {language: t(`lang.${p.lang}`)}))}</p>` : '';
+}
+
+// Prefix from the page to the site root: "../" on /posts/<slug> pages (<main data-root>)
+function rootPath(){
+  return qs('main')?.dataset?.root || '';
+}
+
+// Relative URLs of html written for the site root, made to work from this page
+// (the same rewrite as renderPostPage() in lib/static_build.js)
+function rerooted(html){
+  const root = rootPath();
+  if (!root) return html;
+  return html.replace(/ (href|src|cite)="([^"]*)"/g, (m, attr, url) =>
+    (url !== '' && !/^([a-z][\w+.-]*:|\/|#|\?)/i.test(url) ? ` ${attr}="${root}${url}"` : m));
+}
+
+// Cover image URL (js/sanitize_html.js rules), escaped for the src attribute
+function coverSrc(p){
+  return escapeHTML(sanitizeURL(p.cover) || 'assets/cover.jpg');
+}
+
+// Post URL: /posts/<slug> (lib/post_pages.js); post.html?id= only for posts saved before slugs
+function postHref(p){
+  return p.slug ? `posts/${encodeURIComponent(p.slug)}` : `post.html?id=${encodeURIComponent(p.id)}`;
+}
+
 // Tiny HTML escaper for safety
 function escapeHTML(s){
   return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
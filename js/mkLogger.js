@@ -1,4 +1,17 @@
 ﻿// logger.js - tiny, dependency-free pretty logger
+//
+// Levels: debug < info < warn < error (ok / clientlog / section / step log at info).
+// Records under the threshold are dropped. The console gets the pretty output
+// (default) or one JSON object per line; file sinks always get JSON lines and
+// rotate by size and, optionally, by day.
+//
+//   configure({ level, format, file, maxBytes, maxFiles, daily })  -> shared by every logger
+//   mkLogger(file)          -> { debug, info, ok, warn, error, clientlog, step, section, child, requestLogger, ... }
+//   log.child({ k: v })     -> same logger, every record carries the bound fields
+//   log.requestLogger(opts) -> express middleware: req.id, req.log, one line per request
+//   onRecord(fn)            -> fn(record) for every record that passes the threshold; returns unsubscribe
+const crypto = require("crypto");
+const fs = require("fs");
 const os = require("os");
 const path = require("path");
 
@@ -9,6 +22,16 @@ const red = c("31"); const green = c("32"); const yellow = c("33"); const cyan =
 const bg = (n) => (s) => (COLOR ? `\x1b[${n}m${s}\x1b[0m` : String(s));
 const bgi = bg("48;5;238"); // subtle dark bg for banners
 
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Shared by every logger (server.js calls configure() once the config is loaded)
+const settings = {
+    level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info",
+    format: process.env.LOG_FORMAT === "json" ? "json" : "pretty"
+};
+let fileSink = null;
+const listeners = new Set();
+
 const time = () => new Date().toLocaleTimeString();
 function hr(char = "─", width = process.stdout.columns || 80) {
     const line = char.repeat(Math.max(20, Math.min(width, 120)));
@@ -38,29 +61,175 @@ function banner(left = "call banner with 2 argument", right = "") {
     const full = bgi(bold(L + R));
     console.log(full);
 }
-function mkLogger(contextFile) {
-    const ctx = path.basename(contextFile || "");
-    const prefix = () => gray(`[${time()}]`) + " " + cyan(ctx ? `(${ctx})` : "");
+
+// ---------------------------------------------------------------- file sink
+// Appends lines to `file`. The current file is renamed to "<file>.<time of its last
+// write>" when it would grow past maxBytes, or (daily) on the first write of a new
+// day, so rotated names sort oldest -> newest; only the newest maxFiles are kept.
+// Also used for other NDJSON stores (lib/clientlog.js).
+function createFileSink({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5, daily = false }) {
+    const dir = path.dirname(file);
+    const base = path.basename(file);
+    const today = () => new Date().toISOString().slice(0, 10);
+    let fd = null, size = 0, day = null;
+
+    function open() {
+        fs.mkdirSync(dir, { recursive: true });
+        fd = fs.openSync(file, "a");
+        const st = fs.fstatSync(fd);
+        size = st.size;
+        day = (size ? st.mtime : new Date()).toISOString().slice(0, 10);
+    }
+    function prune() {
+        const rotated = fs.readdirSync(dir).filter(f => f.startsWith(base + ".")).sort();
+        for (const f of rotated.slice(0, Math.max(0, rotated.length - maxFiles))) {
+            try { fs.unlinkSync(path.join(dir, f)); } catch { }
+        }
+    }
+    function rotate() {
+        const lastWrite = fs.fstatSync(fd).mtime;
+        fs.closeSync(fd);
+        fd = null;
+        let target = path.join(dir, `${base}.${lastWrite.toISOString().replace(/[:.]/g, "-")}`);
+        if (fs.existsSync(target)) target += `-${Date.now()}`;
+        fs.renameSync(file, target);
+        prune();
+        open();
+    }
 
     return {
-        banner,
-        hr,
-        box,
-        info: (msg, extra) => console.log(prefix(), msg, extra ?? ""),
-        ok: (msg, extra) => console.log(prefix(), green("✓"), msg, extra ?? ""),
-        warn: (msg, extra) => console.log(prefix(), yellow("!"), msg, extra ?? ""),
-        error: (msg, extra) => console.log(prefix(), red("✗"), msg, extra ?? ""),
-        clientlog: (msg, extra) => console.log(prefix(), dim("»"), msg, extra ?? ""),
-        step: (title, kv = {}) => {
-            const lines = Object.entries(kv).map(([k, v]) => `${k}: ${v}`);
-            box(` ${title} `, lines, cyan);
+        file,
+        write(line) {
+            if (fd === null) open();
+            const bytes = Buffer.byteLength(line);
+            if (size > 0 && ((daily && day !== today()) || size + bytes > maxBytes)) rotate();
+            fs.writeSync(fd, line);
+            size += bytes;
         },
-        section: (title) => {
-            hr();
-            console.log(bold(cyan(`» ${title}`)));
-            hr();
+        close() { if (fd !== null) fs.closeSync(fd); fd = null; }
+    };
+}
+
+function onRecord(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+/** Change the shared level / console format / file sink. Unknown values are ignored. */
+function configure({ level, format, file, maxBytes, maxFiles, daily } = {}) {
+    if (LEVELS[level]) settings.level = level;
+    if (format === "json" || format === "pretty") settings.format = format;
+    if (file !== undefined) {
+        if (fileSink) fileSink.close();
+        fileSink = file ? createFileSink({ file, maxBytes, maxFiles, daily }) : null;
+    }
+    return { ...settings, file: fileSink ? fileSink.file : null };
+}
+
+// Errors don't survive JSON.stringify; keep their message and stack
+function plain(v) {
+    if (v instanceof Error) return { name: v.name, message: v.message, code: v.code, stack: v.stack };
+    return v;
+}
+
+// Pretty console renderers per record kind
+const PRETTY = {
+    debug: (pre, r, extra) => console.log(pre, dim(r.msg), extra ?? ""),
+    info: (pre, r, extra) => console.log(pre, r.msg, extra ?? ""),
+    ok: (pre, r, extra) => console.log(pre, green("✓"), r.msg, extra ?? ""),
+    warn: (pre, r, extra) => console.log(pre, yellow("!"), r.msg, extra ?? ""),
+    error: (pre, r, extra) => console.log(pre, red("✗"), r.msg, extra ?? ""),
+    clientlog: (pre, r, extra) => console.log(pre, dim("»"), r.msg, extra ?? ""),
+    request: (pre, r) => console.log(pre, dim("←"), r.msg),
+    section: (_pre, r) => { hr(); console.log(bold(cyan(`» ${r.msg}`))); hr(); },
+    step: (_pre, r) => box(` ${r.msg} `, Object.entries(r.fields || {}).map(([k, v]) => `${k}: ${v}`), cyan)
+};
+
+function build(ctx, bindings) {
+    const tagOf = () => gray(`[${time()}]`) + " " + cyan(ctx ? `(${ctx})` : "");
+    const context = Object.entries(bindings).map(([k, v]) => `${k}=${v}`).join(" ");
+
+    // kind: how the pretty console renders it; fields: extra top-level keys for JSON output
+    function write(level, kind, msg, extra, fields) {
+        if (LEVELS[level] < LEVELS[settings.level]) return;
+        const rec = { time: new Date().toISOString(), level, ctx, msg: String(msg), ...bindings, ...fields };
+        if (extra !== undefined && extra !== "") rec.extra = plain(extra);
+        if (kind !== level) rec.kind = kind;
+
+        if (fileSink) {
+            try { fileSink.write(JSON.stringify(rec) + "\n"); }
+            catch (e) { fileSink = null; console.error(`[logger] file sink disabled: ${e.message}`); }
+        }
+        for (const fn of listeners) {
+            try { fn(rec); } catch (e) { console.error(`[logger] listener failed: ${e.message}`); }
+        }
+        if (settings.format === "json") return process.stdout.write(JSON.stringify(rec) + os.EOL);
+        const pre = context ? `${tagOf()} ${gray(context)}` : tagOf();
+        PRETTY[kind](pre, rec, extra);
+    }
+
+    const logger = {
+        banner: (left, right) => { if (settings.format === "pretty") banner(left, right); },
+        hr: (...a) => { if (settings.format === "pretty") hr(...a); },
+        box,
+        configure,
+        onRecord,
+        level: () => settings.level,
+        log: (level, msg, fields) => write(level, level, msg, undefined, fields),
+        debug: (msg, extra) => write("debug", "debug", msg, extra),
+        info: (msg, extra) => write("info", "info", msg, extra),
+        ok: (msg, extra) => write("info", "ok", msg, extra),
+        warn: (msg, extra) => write("warn", "warn", msg, extra),
+        error: (msg, extra) => write("error", "error", msg, extra),
+        clientlog: (msg, extra, level = "info") => write(LEVELS[level] ? level : "info", "clientlog", msg, extra),
+        step: (title, kv = {}) => write("info", "step", title, undefined, { fields: kv }),
+        section: (title) => write("info", "section", title),
+        child: (more = {}) => build(ctx, { ...bindings, ...more }),
+
+        /**
+         * Express middleware: gives each request an id (X-Request-Id, echoed back) and a
+         * child logger req.log bound to { reqId, route }. With access: true (default) it
+         * logs method, path, status and duration once the response ends. Unrouted
+         * successes (static files) are logged at debug so pages don't flood the console.
+         */
+        requestLogger({ access = true } = {}) {
+            return (req, res, next) => {
+                const started = process.hrtime.bigint();
+                const incoming = req.get("x-request-id");
+                req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomBytes(6).toString("hex");
+                res.setHeader("X-Request-Id", req.id);
+                const route = `${req.method} ${req.path}`;
+                req.log = logger.child({ reqId: req.id, route });
+                if (!access) return next();
+
+                let logged = false;
+                const done = () => {
+                    if (logged) return;
+                    logged = true;
+                    const aborted = !res.writableFinished;
+                    const status = res.statusCode;
+                    const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+                    // A stream (SSE) that the client closed is a normal end, not an abort worth a warning
+                    const level = status >= 500 ? "error"
+                        : status >= 400 || (aborted && !res.headersSent) ? "warn"
+                            : req.route ? "info" : "debug";
+                    const msg = `${route} ${aborted ? "aborted" : status} ${durationMs} ms`;
+                    write(level, "request", msg, undefined, {
+                        reqId: req.id, method: req.method, path: req.path, status, durationMs, aborted,
+                        ip: req.ip, user: req.principal?.name ?? null
+                    });
+                };
+                res.on("finish", done);
+                res.on("close", done);
+                next();
+            };
         }
     };
+    return logger;
+}
+
+function mkLogger(contextFile) {
+    return build(path.basename(contextFile || ""), {});
 }
 
-module.exports = { mkLogger };
+module.exports = { mkLogger, configure, onRecord, createFileSink, LEVELS };
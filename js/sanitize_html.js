@@ -0,0 +1,155 @@
+// ====== Post HTML sanitizer ======
+// Allowlist-based: only the tags / attributes / URL schemes listed below survive.
+// Used twice with the same rules: by the server when a post is saved (lib/posts.js)
+// and by blog_render_posts.js right before a post body goes into the page.
+//
+//   sanitizeHTML(html) -> { html, removed }   removed: ["<script> (2)", "onclick on <img>", ...]
+//   sanitizeURL(url)   -> url, or '' when the scheme is not allowed (javascript:, data:, ...)
+//
+// Browser: plain <script>, defines window.sanitizeHTML / window.sanitizeURL.
+// Node:    const { sanitizeHTML, sanitizeURL } = require('../js/sanitize_html');
+(function (root) {
+  // Tags kept as-is (attributes filtered); any other tag is dropped but its text kept
+  const TAGS = new Set([
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins',
+    'mark', 'small', 'sub', 'sup', 'blockquote', 'q', 'cite', 'code', 'pre', 'kbd', 'samp', 'var', 'abbr',
+    'time', 'span', 'div', 'section', 'figure', 'figcaption', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'a', 'img',
+    'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+  ]);
+  // Tags dropped together with everything inside them
+  const DROP_WITH_CONTENT = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select', 'svg', 'math', 'title', 'head', 'frameset', 'frame', 'applet']);
+  const VOID = new Set(['br', 'hr', 'img']);
+
+  const GLOBAL_ATTRS = new Set(['id', 'class', 'title', 'lang', 'dir', 'aria-label', 'aria-hidden', 'role']);
+  const TAG_ATTRS = {
+    a: new Set(['href', 'name', 'rel', 'target']),
+    img: new Set(['src', 'alt', 'width', 'height', 'loading']),
+    ol: new Set(['start', 'reversed', 'type']),
+    td: new Set(['colspan', 'rowspan']),
+    th: new Set(['colspan', 'rowspan', 'scope']),
+    time: new Set(['datetime']),
+    blockquote: new Set(['cite']),
+    q: new Set(['cite'])
+  };
+  const URL_ATTRS = new Set(['href', 'src', 'cite']);
+  const SCHEMES = /^(https?|mailto|tel):/i;
+
+  const escapeHTML = (s) => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+  const NAMED = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', colon: ':', tab: '\t', newline: '\n' };
+  function decodeEntities(s) {
+    return String(s).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (m, e) => {
+      if (e[0] === '#') {
+        const n = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+        return n > 0 && n < 0x110000 ? String.fromCodePoint(n) : '';
+      }
+      return NAMED[e.toLowerCase()] ?? m;
+    });
+  }
+
+  // Relative URLs, #anchors and http(s) / mailto / tel pass; entities and control
+  // characters are resolved first so "jav&#x09;ascript:" is caught too.
+  function sanitizeURL(url) {
+    const raw = decodeEntities(url == null ? '' : url).trim();
+    const probe = raw.replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (/^[a-z][\w+.-]*:/i.test(probe) && !SCHEMES.test(probe)) return '';
+    return raw;
+  }
+
+  const TAG_RE = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+  const ATTR_RE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  function sanitizeHTML(html) {
+    const src = String(html ?? '');
+    const removed = new Map(); // message -> count
+    const note = (msg) => removed.set(msg, (removed.get(msg) || 0) + 1);
+    const open = []; // allowed tags currently open
+    let out = '';
+    let i = 0;
+
+    // Text: keep valid entities, escape everything else that could start markup
+    const text = (s) => s.replace(/&(?!(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    function attrs(tag, rawAttrs) {
+      let res = '';
+      let hasBlank = false;
+      for (const m of rawAttrs.matchAll(ATTR_RE)) {
+        const name = m[1].toLowerCase();
+        let value = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+        if (!GLOBAL_ATTRS.has(name) && !TAG_ATTRS[tag]?.has(name)) {
+          note(/^on/.test(name) ? `${name} handler on <${tag}>` : `${name} attribute on <${tag}>`);
+          continue;
+        }
+        if (URL_ATTRS.has(name)) {
+          const safe = sanitizeURL(value);
+          if (!safe && value.trim()) {
+            note(`${value.replace(/[\u0000- ]/g, '').split(':')[0].slice(0, 20)}: URL in <${tag} ${name}>`);
+            continue;
+          }
+          value = safe;
+        }
+        if (name === 'target') {
+          if (value !== '_blank') { note(`target="${value}" on <${tag}>`); continue; }
+          hasBlank = true;
+        }
+        res += ` ${name}="${escapeHTML(value)}"`;
+      }
+      // Links opening a new tab must not hand the opener to the new page
+      if (hasBlank) res = res.replace(/ rel="[^"]*"/, '') + ' rel="noopener noreferrer"';
+      return res;
+    }
+
+    while (i < src.length) {
+      const lt = src.indexOf('<', i);
+      if (lt < 0) { out += text(src.slice(i)); break; }
+      out += text(src.slice(i, lt));
+      i = lt;
+      const rest = src.slice(i);
+
+      if (rest.startsWith('<!--')) {
+        const end = src.indexOf('-->', i + 4);
+        i = end < 0 ? src.length : end + 3;
+        continue;
+      }
+      if (/^<[!?]/.test(rest)) { // doctype, CDATA, processing instructions
+        const end = src.indexOf('>', i);
+        note(rest.slice(0, 9).replace(/\s.*/, '') + '…');
+        i = end < 0 ? src.length : end + 1;
+        continue;
+      }
+      const m = TAG_RE.exec(rest);
+      if (!m) { out += '&lt;'; i++; continue; }
+      i += m[0].length;
+      const closing = m[1] === '/';
+      const tag = m[2].toLowerCase();
+
+      if (DROP_WITH_CONTENT.has(tag)) {
+        note(`<${tag}>`);
+        if (!closing && !m[4]) {
+          const close = new RegExp(`</${tag}\\s*>`, 'i').exec(src.slice(i));
+          i = close ? i + close.index + close[0].length : src.length;
+        }
+        continue;
+      }
+      if (!TAGS.has(tag)) {
+        if (!closing) note(`<${tag}>`);
+        continue;
+      }
+      if (closing) {
+        const at = open.lastIndexOf(tag);
+        if (at < 0) continue; // stray closing tag
+        while (open.length > at) out += `</${open.pop()}>`;
+        continue;
+      }
+      out += `<${tag}${attrs(tag, m[3])}>`;
+      if (!VOID.has(tag)) open.push(tag);
+    }
+    while (open.length) out += `</${open.pop()}>`;
+
+    return { html: out, removed: [...removed].map(([msg, n]) => (n > 1 ? `${msg} (${n})` : msg)) };
+  }
+
+  const api = { sanitizeHTML, sanitizeURL };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else Object.assign(root, api);
+})(typeof window !== 'undefined' ? window : globalThis);
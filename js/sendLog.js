@@ -1,5 +1,4 @@
 ﻿// sendLog.js
-console.log("***sendLog.js called");
 
 // ── tiny DOM-ready helper
 function onReady(fn) {
@@ -10,16 +9,83 @@ function onReady(fn) {
     }
 }
 
-// ── global logger (kept global on purpose)
-window.sendLog = function sendLog(msg) {
+// ── client log queue: events are batched and POSTed to /clientlog (lib/clientlog.js)
+const CLIENT_LOG = {
+    url: "/clientlog",
+    flushMs: 2000,     // send at most every 2 s...
+    batchSize: 20,     // ...or as soon as this many are waiting
+    maxQueue: 200,     // oldest events are dropped past this
+    queue: [],
+    timer: null,
+};
+
+// One id per tab, so a session's events can be read together (GET /admin/clientlogs?session=)
+const clientSessionId = (() => {
     try {
-        // NOTE: change to "/log" if your server route is /log
-        fetch(`/clientlog?msg=${encodeURIComponent(msg)}`).catch(() => { });
+        let id = sessionStorage.getItem("clientlog.sid");
+        if (!id) {
+            id = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+            sessionStorage.setItem("clientlog.sid", id);
+        }
+        return id;
     } catch {
-        console.log("[sendLog fallback]", msg);
+        return null;
     }
+})();
+
+function flushClientLog(useBeacon = false) {
+    clearTimeout(CLIENT_LOG.timer);
+    CLIENT_LOG.timer = null;
+    if (!CLIENT_LOG.queue.length) return;
+    const events = CLIENT_LOG.queue.splice(0, CLIENT_LOG.queue.length);
+    const body = JSON.stringify({ events });
+    // One warning per lost batch (the events themselves stay out of the console)
+    const lost = (e) => console.warn(`[sendLog] ${events.length} event(s) not sent to ${CLIENT_LOG.url}: ${e?.message || e}`);
+    try {
+        // sendBeacon survives the page going away; a string body is sent as text/plain
+        if (useBeacon && navigator.sendBeacon && navigator.sendBeacon(CLIENT_LOG.url, body)) return;
+        fetch(CLIENT_LOG.url, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true })
+            .then((res) => { if (!res.ok) lost(`HTTP ${res.status}`); }, lost);
+    } catch (e) {
+        lost(e);
+    }
+}
+
+// ── structured event: level is debug | info | warn | error
+window.sendLogEvent = function sendLogEvent(level, message, { stack } = {}) {
+    CLIENT_LOG.queue.push({
+        level,
+        page: window.location.pathname + window.location.search,
+        message: String(message),
+        stack: stack ? String(stack) : undefined,
+        userAgent: navigator.userAgent,
+        sessionId: clientSessionId,
+        ts: new Date().toISOString(),
+    });
+    if (CLIENT_LOG.queue.length > CLIENT_LOG.maxQueue) CLIENT_LOG.queue.shift();
+    if (CLIENT_LOG.queue.length >= CLIENT_LOG.batchSize) flushClientLog();
+    else if (!CLIENT_LOG.timer) CLIENT_LOG.timer = setTimeout(flushClientLog, CLIENT_LOG.flushMs);
+};
+
+// ── global logger (kept global on purpose); extra arguments are appended like console.log
+window.sendLog = function sendLog(msg, ...more) {
+    const text = [msg, ...more].map(v => (typeof v === "string" ? v : JSON.stringify(v))).join(" ");
+    window.sendLogEvent("info", text);
 };
 
+// Flush what is left when the page is hidden or unloaded (pagehide also covers bfcache)
+window.addEventListener("pagehide", () => flushClientLog(true));
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushClientLog(true);
+});
+
+// Promise rejections nobody handled
+window.addEventListener("unhandledrejection", (event) => {
+    const reason = event.reason;
+    const message = reason instanceof Error ? reason.message : typeof reason === "string" ? reason : JSON.stringify(reason);
+    window.sendLogEvent("error", `Unhandled rejection: ${message}`, { stack: reason?.stack });
+});
+
 // ── early, non-DOM work is safe here
 const pageName = window.location.pathname.split("/").pop() || "index.html";
 try {
@@ -44,7 +110,7 @@ onReady(() => {
     }
 
     // Global error handler (suppress extension noise)
-    window.onerror = function (message, source, lineno, colno) {
+    window.onerror = function (message, source, lineno, colno, error) {
         const isExtension =
             source && (source.startsWith("chrome-extension://") ||
                 source.startsWith("edge-extension://"));
@@ -57,6 +123,7 @@ onReady(() => {
         }
 
         console.error("App Error:", message, "at", source, ":", lineno, colno);
+        window.sendLogEvent("error", `${message} at ${source}:${lineno}:${colno}`, { stack: error?.stack });
         const errBox = document.createElement("pre");
         errBox.style.color = "red";
         errBox.textContent = `Error: ${message}\nSource: ${source}\nLine: ${lineno}, Col: ${colno}`;
@@ -9,6 +9,7 @@
 // Exports:
 //   - analyzeUrl(url, options?) -> Promise<Result>
 //   - analyzeUrlStream(url, options?) -> AsyncGenerator<ProgressEvent>
+//   options: { timeoutMs?, userAgent?, signal? (AbortSignal, cancels the fetch) }
 //
 // Result:
 // {
@@ -209,6 +210,10 @@ async function fetchWithProgress(url, options, onProgress) {
 
     const controller = new AbortController();
     const to = nodeSetTimeout(() => controller.abort(), timeoutMs);
+    // options.signal: the caller may cancel (e.g. SSE client disconnected)
+    const onAbort = () => controller.abort();
+    if (options?.signal?.aborted) controller.abort();
+    options?.signal?.addEventListener('abort', onAbort, { once: true });
 
     try {
         const resp = await fetch(url, {
@@ -255,6 +260,7 @@ async function fetchWithProgress(url, options, onProgress) {
         }
     } finally {
         nodeClearTimeout(to);
+        options?.signal?.removeEventListener('abort', onAbort);
     }
 }
 
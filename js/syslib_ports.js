@@ -2,10 +2,11 @@
 // Helper library to parse netstat / tasklist on Windows and expose scanPorts()
 // - Uses spawn to stream output and avoid exec buffers
 // - Exported functions:
-//    * scanPorts(maxPort = 65535, progressCb) -> Promise<Array<entry>>
+//    * scanPorts(maxPort = 65535, progressCb, { signal }?) -> Promise<Array<entry>>
 //    * splitHostPort(addr) -> { host, port }
 // Notes:
 //    - progressCb(currentCount, estimatedTotal) is optional and called periodically.
+//    - signal (AbortSignal) is optional; aborting kills netstat and rejects.
 //    - entry: { protocol, localAddress, localPort, foreignAddress, foreignPort, state, pid, processName }
 
 const { spawn } = require('child_process');
@@ -87,7 +88,7 @@ function buildPidMapWindows() {
  * - progressCb(currentCount, estimatedTotal) called periodically if provided
  * - Resolves to array of entries
  */
-async function scanPorts(maxPort = 65535, progressCb) {
+async function scanPorts(maxPort = 65535, progressCb, { signal } = {}) {
     if (!Number.isFinite(maxPort)) maxPort = 65535;
     maxPort = Math.min(65535, Math.max(1, Math.floor(maxPort)));
 
@@ -95,7 +96,19 @@ async function scanPorts(maxPort = 65535, progressCb) {
     const pidMap = await buildPidMapWindows();
 
     return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason || new Error('aborted'));
         const ns = spawn('netstat', ['-ano'], { windowsHide: true });
+
+        // Caller gave up (e.g. SSE client left): stop netstat
+        const onAbort = () => {
+            try { ns.kill(); } catch (_) { }
+            reject(signal.reason || new Error('aborted'));
+        };
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+            ns.on('close', () => signal.removeEventListener('abort', onAbort));
+        }
+
         const entries = [];
         let leftover = '';
         let parsedCount = 0;
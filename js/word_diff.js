@@ -0,0 +1,85 @@
+// ====== Word-level diff ======
+// Splits two texts into words, whitespace runs and HTML tags, then finds the shortest
+// edit script between them (Myers' O(ND) algorithm, common head and tail trimmed first).
+// manage_posts.html uses it to compare two revisions of a post (lib/revisions.js).
+//
+//   diffWords(a, b) -> [[op, text], ...]   op: '=' in both, '-' only in a, '+' only in b
+//
+// Browser: plain <script>, defines window.diffWords.
+// Node:    const { diffWords } = require('../js/word_diff');
+(function (root) {
+  // A tag, a word (letters/digits, inner ' ’ - allowed), a whitespace run, or any other character
+  const TOKEN = /<[^>]*>|[\p{L}\p{N}_]+(?:['’-][\p{L}\p{N}_]+)*|\s+|[^]/gu;
+  // Past this many edits the middle is shown as rewritten (one deletion, one insertion)
+  const MAX_EDITS = 2000;
+
+  const tokenize = (s) => String(s ?? '').match(TOKEN) || [];
+
+  // Appends text to the script, merging with the previous entry when the op is the same
+  function add(ops, op, text) {
+    if (!text) return;
+    const last = ops[ops.length - 1];
+    if (last && last[0] === op) last[1] += text;
+    else ops.push([op, text]);
+  }
+
+  // Edit script between token arrays x and y, as [op, token] pairs in order
+  function myers(x, y) {
+    const n = x.length, m = y.length;
+    if (!n || !m) return [...x.map(t => ['-', t]), ...y.map(t => ['+', t])];
+    const max = Math.min(n + m, MAX_EDITS);
+    const off = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = []; // v[-d..d] after each round d
+    for (let d = 0; d <= max; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let i = k === -d || (k !== d && v[off + k - 1] < v[off + k + 1]) ? v[off + k + 1] : v[off + k - 1] + 1;
+        let j = i - k;
+        while (i < n && j < m && x[i] === y[j]) { i++; j++; }
+        v[off + k] = i;
+        if (i >= n && j >= m) {
+          trace.push(v.slice(off - d, off + d + 1));
+          return backtrack(trace, x, y);
+        }
+      }
+      trace.push(v.slice(off - d, off + d + 1));
+    }
+    return [...x.map(t => ['-', t]), ...y.map(t => ['+', t])];
+  }
+
+  function backtrack(trace, x, y) {
+    const out = [];
+    let i = x.length, j = y.length;
+    for (let d = trace.length - 1; d > 0; d--) {
+      const prev = trace[d - 1];
+      const at = (k) => prev[k + d - 1];
+      const k = i - j;
+      const down = k === -d || (k !== d && at(k - 1) < at(k + 1)); // down: insertion, else deletion
+      const pk = down ? k + 1 : k - 1;
+      const pi = at(pk), pj = pi - pk;
+      const start = down ? pi : pi + 1;
+      while (i > start) { out.push(['=', x[--i]]); j--; }
+      out.push(down ? ['+', y[pj]] : ['-', x[pi]]);
+      i = pi; j = pj;
+    }
+    while (i > 0) out.push(['=', x[--i]]);
+    return out.reverse();
+  }
+
+  function diffWords(a, b) {
+    const x = tokenize(a), y = tokenize(b);
+    let head = 0;
+    while (head < x.length && head < y.length && x[head] === y[head]) head++;
+    let tail = 0;
+    while (tail < x.length - head && tail < y.length - head && x[x.length - 1 - tail] === y[y.length - 1 - tail]) tail++;
+    const ops = [];
+    add(ops, '=', x.slice(0, head).join(''));
+    for (const [op, t] of myers(x.slice(head, x.length - tail), y.slice(head, y.length - tail))) add(ops, op, t);
+    add(ops, '=', x.slice(x.length - tail).join(''));
+    return ops;
+  }
+
+  const api = { diffWords };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else Object.assign(root, api);
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,300 @@
+/**
+ * lib/auth.js — Member authentication: user store, password hashing, sessions.
+ *
+ * - Passwords are stored as salted scrypt hashes in a JSON file (config.auth.usersFile).
+ * - Sessions live in memory; the browser only holds an HMAC-signed session id
+ *   in an HttpOnly, SameSite=Lax cookie.
+ * - Sessions expire after config.auth.sessionTtlMinutes of inactivity.
+ *
+ * Exports:
+ *   - hashPassword(password) -> Promise<string>
+ *   - verifyPassword(password, stored) -> Promise<boolean>
+ *   - createUserStore(file)
+ *   - createAuth({ config, log }) -> { attachSession, requireMember, login, logout, session }
+ *   - staticPath(urlPath) -> the site file a static handler serves for it ("members_page.html"), null if undecodable
+ *
+ * CLI (manage the user store):
+ *   node lib/auth.js add-user <username> [password] [--role viewer|operator|admin]
+ *   node lib/auth.js set-role <username> <role>
+ *   node lib/auth.js remove-user <username>
+ *   node lib/auth.js list-users
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROLES } = require('./rbac');
+
+const COOKIE_NAME = 'sid';
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+/* -------------------------- Password hashing -------------------------- */
+
+function scrypt(password, salt, { N, r, p, keylen }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, keylen, { N, r, p }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/** Returns "scrypt$N$r$p$<salt b64>$<hash b64>" so parameters can change later. */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  const key = await scrypt(password, Buffer.from(saltB64, 'base64'), {
+    N: Number(N), r: Number(r), p: Number(p), keylen: expected.length
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/* ------------------------------ Static paths ---------------------------- */
+
+/**
+ * The file express.static looks up for `urlPath`: percent-decoded as it does
+ * ("/%6dembers_page.html" is members_page.html), backslashes as slashes, dot segments
+ * resolved, lowercased (file names ignore case on Windows), no leading slash.
+ * null when the path does not decode; static serving would refuse it too.
+ */
+function staticPath(urlPath) {
+  let decoded;
+  try { decoded = decodeURIComponent(urlPath); } catch { return null; }
+  return path.posix.normalize('/' + decoded.replace(/\\/g, '/')).replace(/^\/+/, '').toLowerCase();
+}
+
+/* ----------------------------- User store ----------------------------- */
+
+// File format: { "users": [ { "username", "hash", "role"?, "createdAt" } ] }
+function createUserStore(file) {
+  function read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data.users) ? data.users : [];
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+  function write(users) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+  const key = (name) => String(name || '').trim().toLowerCase();
+
+  return {
+    file,
+    list: () => read().map(({ hash, ...rest }) => rest),
+    find: (username) => read().find(u => key(u.username) === key(username)) || null,
+    async upsert(username, password, extra = {}) {
+      const name = String(username || '').trim();
+      if (!/^[A-Za-z0-9_.-]{3,64}$/.test(name)) throw new Error('Username must be 3-64 chars: letters, digits, _ . -');
+      if (String(password || '').length < 8) throw new Error('Password must be at least 8 characters');
+      const users = read();
+      const idx = users.findIndex(u => key(u.username) === key(name));
+      const rec = { ...(idx >= 0 ? users[idx] : { createdAt: new Date().toISOString() }), ...extra, username: name, hash: await hashPassword(password) };
+      if (idx >= 0) users[idx] = rec; else users.push(rec);
+      write(users);
+      return { username: name };
+    },
+    setRole(username, role) {
+      if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+      const users = read();
+      const rec = users.find(u => key(u.username) === key(username));
+      if (!rec) return false;
+      rec.role = role;
+      write(users);
+      return true;
+    },
+    remove(username) {
+      const users = read();
+      const next = users.filter(u => key(u.username) !== key(username));
+      write(next);
+      return next.length !== users.length;
+    }
+  };
+}
+
+/* ------------------------------ Cookies ------------------------------- */
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (!k || k in out) continue;
+    try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch { }
+  }
+  return out;
+}
+
+function serializeCookie(name, value, { maxAgeSec, secure }) {
+  const attrs = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  if (maxAgeSec !== undefined) attrs.push(`Max-Age=${maxAgeSec}`);
+  if (secure) attrs.push('Secure');
+  return attrs.join('; ');
+}
+
+/** Only allow same-origin relative redirects (blocks "//evil.com" and "https://..."). */
+function safeNext(next, fallback) {
+  const s = String(next || '');
+  return /^\/(?![\/\\])/.test(s) ? s : fallback;
+}
+
+/* ------------------------------- Auth --------------------------------- */
+
+function createAuth({ config, log }) {
+  const opts = config.auth;
+  const users = createUserStore(opts.usersFile);
+  const ttlMs = opts.sessionTtlMinutes * 60 * 1000;
+  const secret = opts.sessionSecret || crypto.randomBytes(32).toString('hex');
+  if (!opts.sessionSecret) log.warn('auth.sessionSecret not set: using a random key, sessions reset on restart');
+
+  // sid -> { user: { username, role }, createdAt, expiresAt }
+  const sessions = new Map();
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [sid, s] of sessions) if (s.expiresAt <= now) sessions.delete(sid);
+  }, 60 * 1000);
+  sweeper.unref();
+
+  const sign = (sid) => crypto.createHmac('sha256', secret).update(sid).digest('base64url');
+  function unsign(value) {
+    const i = String(value || '').lastIndexOf('.');
+    if (i <= 0) return null;
+    const sid = value.slice(0, i);
+    const a = Buffer.from(value.slice(i + 1));
+    const b = Buffer.from(sign(sid));
+    return a.length === b.length && crypto.timingSafeEqual(a, b) ? sid : null;
+  }
+
+  function setCookie(res, sid) {
+    res.append('Set-Cookie', serializeCookie(COOKIE_NAME, `${sid}.${sign(sid)}`, {
+      maxAgeSec: Math.floor(ttlMs / 1000), secure: opts.secureCookies
+    }));
+  }
+  function clearCookie(res) {
+    res.append('Set-Cookie', serializeCookie(COOKIE_NAME, '', { maxAgeSec: 0, secure: opts.secureCookies }));
+  }
+
+  /** Middleware: resolve the session cookie into req.session / req.user (sliding expiry). */
+  function attachSession(req, res, next) {
+    req.session = null;
+    req.user = null;
+    const sid = unsign(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+    const s = sid && sessions.get(sid);
+    if (s && s.expiresAt > Date.now()) {
+      s.expiresAt = Date.now() + ttlMs;
+      req.session = { id: sid, ...s };
+      req.user = s.user;
+      setCookie(res, sid);
+    } else if (sid) {
+      sessions.delete(sid);
+      clearCookie(res);
+    }
+    next();
+  }
+
+  /** Middleware: member-only static pages redirect to the login page when signed out. */
+  function requireMember(req, res, next) {
+    // Matched on the decoded path, as static serving sees it
+    const page = staticPath(req.path);
+    if (page === null) return res.status(400).json({ ok: false, error: 'bad_path' });
+    const guarded = opts.memberPages.some(p => {
+      const want = p.toLowerCase();
+      return page === want || page === want.replace(/\.html$/, '');
+    });
+    if (!guarded || req.user) return next();
+    if (req.accepts(['html', 'json']) === 'json') return res.status(401).json({ ok: false, error: 'login_required' });
+    res.redirect(302, `/members_login_page.html?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+
+  // POST /login  { username, password, next? }
+  async function login(req, res) {
+    const username = String(req.body?.username || '').trim();
+    const password = String(req.body?.password || '');
+    if (!username || !password) return res.status(400).json({ ok: false, error: 'missing_credentials' });
+
+    const rec = users.find(username);
+    // Hash even for unknown users so timing doesn't reveal which names exist
+    const ok = rec ? await verifyPassword(password, rec.hash) : (await hashPassword(password), false);
+    if (!ok) {
+      log.warn(`Login failed for "${username}" from ${req.ip}`);
+      return res.status(401).json({ ok: false, error: 'invalid_credentials' });
+    }
+
+    const sid = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+    const user = { username: rec.username, role: rec.role || config.access.defaultRole };
+    sessions.set(sid, { user, createdAt: now, expiresAt: now + ttlMs });
+    setCookie(res, sid);
+    log.ok(`Login: ${user.username} (${user.role})`);
+    res.json({ ok: true, user, next: safeNext(req.body?.next, '/members_page.html') });
+  }
+
+  // POST /logout
+  function logout(req, res) {
+    if (req.session) sessions.delete(req.session.id);
+    res.removeHeader('Set-Cookie'); // drop the refresh set by attachSession
+    clearCookie(res);
+    res.json({ ok: true });
+  }
+
+  // GET /api/session
+  function session(req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+    if (!req.user) return res.json({ authenticated: false });
+    res.json({ authenticated: true, user: req.user, expiresAt: new Date(req.session.expiresAt).toISOString() });
+  }
+
+  return { users, attachSession, requireMember, login, logout, session };
+}
+
+module.exports = { hashPassword, verifyPassword, createUserStore, createAuth, parseCookies, staticPath };
+
+/* -------------------------------- CLI --------------------------------- */
+
+if (require.main === module) {
+  const { loadConfig } = require('./config');
+  const argv = process.argv.slice(2);
+  const roleAt = argv.indexOf('--role');
+  const role = roleAt >= 0 ? argv.splice(roleAt, 2)[1] : null;
+  const [cmd, username, password] = argv;
+  const store = createUserStore(loadConfig().auth.usersFile);
+
+  const askPassword = () => new Promise((resolve) => {
+    const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(`Password for ${username}: `, (answer) => { rl.close(); resolve(answer); });
+  });
+
+  (async () => {
+    switch (cmd) {
+      case 'add-user': {
+        if (!username) throw new Error('usage: node lib/auth.js add-user <username> [password] [--role <role>]');
+        if (role && !ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+        const u = await store.upsert(username, password ?? await askPassword(), role ? { role } : {});
+        console.log(`Saved ${u.username} in ${store.file}`);
+        break;
+      }
+      case 'set-role':
+        console.log(store.setRole(username, password) ? `${username} is now ${password}` : `No such user: ${username}`);
+        break;
+      case 'remove-user':
+        console.log(store.remove(username) ? `Removed ${username}` : `No such user: ${username}`);
+        break;
+      case 'list-users':
+        for (const u of store.list()) console.log(`${u.username}\t${u.role || '(default)'}\t${u.createdAt || ''}`);
+        break;
+      default:
+        console.log('usage: node lib/auth.js add-user <username> [password] [--role <role>] | set-role <username> <role> | remove-user <username> | list-users');
+        process.exitCode = 1;
+    }
+  })().catch((e) => { console.error(e.message); process.exitCode = 1; });
+}
@@ -0,0 +1,170 @@
+/**
+ * lib/clientlog.js — Browser log events (js/sendLog.js): batch ingestion, NDJSON storage, query.
+ *
+ * Pages queue events and POST them in batches; on pagehide the rest goes out with
+ * navigator.sendBeacon, which can only send a text/plain body, so both JSON and
+ * text bodies are accepted. Each event is stored as one JSON line in
+ * <config.clientLogs.dir>/client.ndjson (rotated by size / day like the server log)
+ * and echoed to the server log so it shows up in admin_logs.html.
+ *
+ * Event fields (client): level, page, message, stack?, userAgent?, sessionId?, ts
+ * Added by the server:   receivedAt, ip, user, reqId
+ *
+ * Routes:
+ *   POST /clientlog           { events: [...] } (or one event) -> 202 { ok, accepted, rejected }
+ *   GET  /admin/clientlogs    ?level= (minimum) &page= &session= &q= &since= &until= &limit=
+ *                             -> { events } newest last, read across rotated files
+ *
+ * Exports:
+ *   - createClientLog({ config, log }) -> { ingest(body, req), query(filters) }
+ *   - clientLogRoutes(clientLog, { config }) -> { ingest: [middleware], query: handler }
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const express = require('express');
+const { LEVELS, createFileSink } = require('../js/mkLogger');
+
+const FILE_NAME = 'client.ndjson';
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 5000;
+
+const clip = (v, n) => (typeof v === 'string' ? v.slice(0, n) : v == null ? null : String(v).slice(0, n));
+
+function createClientLog({ config, log }) {
+  const opts = config.clientLogs;
+  const file = path.join(opts.dir, FILE_NAME);
+  fs.mkdirSync(opts.dir, { recursive: true });
+  const sink = createFileSink({ file, maxBytes: opts.maxBytes, maxFiles: opts.maxFiles, daily: opts.daily });
+
+  /** Validate one event; returns the stored record or null. */
+  function normalize(ev, req) {
+    if (!ev || typeof ev !== 'object') return null;
+    const message = clip(ev.message ?? ev.msg, opts.maxMessageChars);
+    if (!message) return null;
+    const ts = Date.parse(ev.ts);
+    return {
+      ts: Number.isFinite(ts) ? new Date(ts).toISOString() : null,
+      receivedAt: new Date().toISOString(),
+      level: LEVELS[ev.level] ? ev.level : 'info',
+      page: clip(ev.page, 300) || '(unknown)',
+      message,
+      stack: clip(ev.stack, opts.maxMessageChars * 2),
+      userAgent: clip(ev.userAgent || req.get('user-agent'), 300),
+      sessionId: /^[\w-]{1,64}$/.test(ev.sessionId || '') ? ev.sessionId : null,
+      ip: req.ip,
+      user: req.principal?.name ?? null,
+      reqId: req.id ?? null
+    };
+  }
+
+  /** Store a batch. Accepts { events: [...] }, an array, or a single event. */
+  function ingest(body, req) {
+    const list = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : body ? [body] : [];
+    const batch = list.slice(0, opts.maxBatch);
+    let accepted = 0;
+    for (const ev of batch) {
+      const rec = normalize(ev, req);
+      if (!rec) continue;
+      sink.write(JSON.stringify(rec) + '\n');
+      log.clientlog(`[${rec.page}] ${rec.message}`, rec.stack ? rec.stack.split('\n')[1]?.trim() : undefined, rec.level);
+      accepted++;
+    }
+    return { accepted, rejected: list.length - accepted };
+  }
+
+  function matches(rec, f) {
+    if (f.level && (LEVELS[rec.level] || 0) < LEVELS[f.level]) return false;
+    if (f.page && !String(rec.page).toLowerCase().includes(f.page)) return false;
+    if (f.session && rec.sessionId !== f.session) return false;
+    const t = Date.parse(rec.receivedAt);
+    if (f.since && t < f.since) return false;
+    if (f.until && t > f.until) return false;
+    if (f.q && !`${rec.message} ${rec.stack || ''}`.toLowerCase().includes(f.q)) return false;
+    return true;
+  }
+
+  /** Newest `limit` matching events (chronological), current file first, then rotated ones. */
+  async function query(f) {
+    const limit = f.limit || DEFAULT_LIMIT;
+    let names = [];
+    try { names = fs.readdirSync(opts.dir).filter(n => n === FILE_NAME || n.startsWith(FILE_NAME + '.')); } catch { }
+    // Rotated names carry a sortable stamp; the live file is the newest
+    names.sort((a, b) => (a === FILE_NAME ? -1 : b === FILE_NAME ? 1 : b.localeCompare(a)));
+
+    const out = [];
+    for (const name of names) {
+      const found = [];
+      const rl = readline.createInterface({ input: fs.createReadStream(path.join(opts.dir, name), 'utf8'), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line) continue;
+        let rec;
+        try { rec = JSON.parse(line); } catch { continue; }
+        if (matches(rec, f)) found.push(rec);
+      }
+      out.unshift(...found.slice(-(limit - out.length)));
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  return { ingest, query, file };
+}
+
+/** Query string -> filters; returns { error } for values that can't be understood. */
+function parseFilters(query) {
+  const str = (k) => (typeof query[k] === 'string' ? query[k].trim() : '');
+  const f = {};
+  if (str('level')) {
+    if (!LEVELS[str('level')]) return { error: `level must be one of: ${Object.keys(LEVELS).join(', ')}` };
+    f.level = str('level');
+  }
+  if (str('page')) f.page = str('page').toLowerCase();
+  if (str('session')) f.session = str('session');
+  if (str('q')) f.q = str('q').toLowerCase();
+  for (const k of ['since', 'until']) {
+    if (!str(k)) continue;
+    const t = /^\d+$/.test(str(k)) ? Number(str(k)) : Date.parse(str(k));
+    if (!Number.isFinite(t)) return { error: `${k} must be an ISO date or epoch milliseconds` };
+    f[k] = t;
+  }
+  if (str('limit')) f.limit = Math.max(1, Math.min(MAX_LIMIT, parseInt(str('limit'), 10) || DEFAULT_LIMIT));
+  return f;
+}
+
+/* ------------------------------- Routes ------------------------------- */
+
+function clientLogRoutes(clientLog, { config }) {
+  const limit = config.clientLogs.maxBodyBytes;
+
+  const ingest = [
+    // sendBeacon posts text/plain; fetch() posts JSON (already parsed by the global express.json)
+    express.text({ type: 'text/plain', limit }),
+    (req, res) => {
+      let body = req.body;
+      if (typeof body === 'string') {
+        try { body = JSON.parse(body); } catch {
+          return res.status(400).json({ ok: false, error: 'invalid_json' });
+        }
+      }
+      const { accepted, rejected } = clientLog.ingest(body, req);
+      if (!accepted && rejected) return res.status(400).json({ ok: false, error: 'no_valid_events', rejected });
+      res.status(202).json({ ok: true, accepted, rejected });
+    }
+  ];
+
+  async function query(req, res) {
+    const filters = parseFilters(req.query);
+    if (filters.error) return res.status(400).json({ ok: false, error: 'invalid_filter', detail: filters.error });
+    res.setHeader('Cache-Control', 'no-store');
+    try {
+      res.json({ events: await clientLog.query(filters) });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: 'query_failed', detail: e.message });
+    }
+  }
+
+  return { ingest, query };
+}
+
+module.exports = { createClientLog, clientLogRoutes };
@@ -0,0 +1,233 @@
+/**
+ * lib/comments.js — Reader comments on blog posts, with a moderation queue.
+ *
+ * Comments are stored per post in <config.comments.dir>/<postId>.json (an array, oldest
+ * first, replaced atomically on each write). A new comment is `pending` until an admin
+ * approves it in admin_comments.html; only `approved` comments are public. Comments
+ * posted by an admin are approved at once.
+ *
+ * Comment: { id, parentId, author, email?, body, status, createdAt, ip, userAgent,
+ *            moderatedAt?, moderatedBy? }
+ *   - id is unique within its post; parentId (a reply) must be an approved comment of the
+ *     same post. Replies nest config.comments.maxDepth levels deep; a reply to a deeper
+ *     comment attaches to its deepest allowed ancestor.
+ *   - body is plain text, escaped wherever it is shown; email is never made public.
+ *   - status: pending | approved | rejected | spam
+ *
+ * Spam defences: a honeypot field (`website`, hidden on the form; when filled in the reply
+ * looks like success but nothing is stored), per-client rate limiting (lib/limiter.js,
+ * 'POST /api/comments'), and only published posts (isPublished, lib/posts.js) take comments.
+ *
+ * Routes:
+ *   GET  /api/comments?post=<id>     -> { comments: [{ id, parentId, author, body, createdAt }] } approved, oldest first
+ *   POST /api/comments { post, parentId?, author, email?, body, website } -> 201 { comment: { id, parentId, status } }
+ *   GET  /admin/comments?status=     -> { comments } newest first, with postId and postTitle (default: pending; all)
+ *   PUT  /admin/comments/:post/:id { status } -> { comment }   (approve, reject, mark as spam)
+ *
+ * Exports:
+ *   - createCommentStore({ config, log, posts }) -> { list(postId), queue(status), add(input, who), moderate(postId, id, status, who) }
+ *   - commentRoutes(store, { log }) -> { list, add, queue, moderate }   (express handlers)
+ *   - STATUSES, CommentsError
+ */
+const fs = require('fs');
+const path = require('path');
+const { isPublished } = require('./posts');
+const { hasRole } = require('./rbac');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+const QUEUE_LIMIT = 500;
+const EMAIL_RE = /^[^\s@]{1,64}@[^\s@]+\.[^\s@]{2,}$/;
+
+class CommentsError extends Error {
+  constructor(code, message, status = 400, extra = {}) {
+    super(message);
+    this.name = 'CommentsError';
+    this.code = code;
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+// Post ids are positive integers (lib/posts.js); anything else is not a post
+const postIdOf = (v) => (/^\d{1,15}$/.test(String(v ?? '').trim()) ? Number(v) : null);
+
+function createCommentStore({ config, log, posts }) {
+  const { dir, maxChars, maxDepth } = config.comments;
+  const fileOf = (postId) => path.join(dir, `${postId}.json`);
+
+  function read(postId) {
+    try {
+      const list = JSON.parse(fs.readFileSync(fileOf(postId), 'utf8'));
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  function write(postId, list) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = fileOf(postId);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(list, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  /** The published post with this id, else 404 (drafts take no comments and show none). */
+  function publishedPost(id) {
+    const postId = postIdOf(id);
+    const post = postId === null ? null : posts.read().posts.find(p => String(p.id) === String(postId));
+    if (!post || !isPublished(post)) throw new CommentsError('post_not_found', `No published post with id ${id}.`, 404);
+    return post;
+  }
+
+  /** Checks the reader's fields; returns { author, email, body }. */
+  function validate(input) {
+    const errors = [];
+    const text = (key, max, required) => {
+      const v = input[key];
+      if (v === undefined || v === null || String(v).trim() === '') {
+        if (required) errors.push(`${key}: required`);
+        return undefined;
+      }
+      if (typeof v !== 'string') { errors.push(`${key}: must be a string`); return undefined; }
+      const s = v.trim();
+      if (s.length > max) errors.push(`${key}: at most ${max} characters`);
+      return s;
+    };
+    const author = text('author', 80, true);
+    const email = text('email', 200, false);
+    // Plain text: control characters other than newlines and tabs are dropped
+    const body = text('body', maxChars, true)?.replace(/\r\n?/g, '\n').replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '');
+    if (email && !EMAIL_RE.test(email)) errors.push('email: not an email address');
+    if (errors.length) throw new CommentsError('invalid_comment', errors.join('; '), 400, { errors });
+    return { author, email, body };
+  }
+
+  /** Where a reply to `parent` goes: parent itself, or its ancestor at the deepest allowed level. */
+  function attachPoint(list, parent) {
+    const byId = new Map(list.map(c => [c.id, c]));
+    const chain = [parent];
+    for (let c = parent; c.parentId != null && byId.has(c.parentId);) chain.unshift(c = byId.get(c.parentId));
+    // chain[0] is top level (depth 0); a reply to chain[d] sits at depth d + 1
+    return chain[Math.min(chain.length - 1, maxDepth - 1)];
+  }
+
+  return {
+    /** Approved comments of a published post, public fields only. */
+    list(postId) {
+      const post = publishedPost(postId);
+      return read(post.id)
+        .filter(c => c.status === 'approved')
+        .map(({ id, parentId, author, body, createdAt }) => ({ id, parentId, author, body, createdAt }));
+    },
+    /** Comments with `status` ('all' for every one) across all posts, newest first. */
+    queue(status = 'pending') {
+      if (status !== 'all' && !STATUSES.includes(status)) {
+        throw new CommentsError('invalid_status', `status must be all or one of ${STATUSES.join(', ')}.`);
+      }
+      let names = [];
+      try { names = fs.readdirSync(dir).filter(n => /^\d+\.json$/.test(n)); } catch { }
+      const titles = new Map(posts.read().posts.map(p => [String(p.id), p.title]));
+      const out = [];
+      for (const name of names) {
+        const postId = Number(name.slice(0, -5));
+        for (const c of read(postId)) {
+          if (status === 'all' || c.status === status) out.push({ postId, postTitle: titles.get(String(postId)) ?? null, ...c });
+        }
+      }
+      return out.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1)).slice(0, QUEUE_LIMIT);
+    },
+    /** who: { name, admin, ip, userAgent } */
+    add(input, who = {}) {
+      if (!input || typeof input !== 'object' || Array.isArray(input)) throw new CommentsError('invalid_comment', 'a comment must be a JSON object');
+      const post = publishedPost(input.post);
+      const { author, email, body } = validate(input);
+      const list = read(post.id);
+      let parentId = null;
+      if (input.parentId !== undefined && input.parentId !== null && input.parentId !== '') {
+        const parent = list.find(c => String(c.id) === String(input.parentId) && c.status === 'approved');
+        if (!parent) throw new CommentsError('parent_not_found', `No comment ${input.parentId} to reply to on this post.`);
+        parentId = maxDepth > 0 ? attachPoint(list, parent).id : null;
+      }
+      const comment = {
+        id: list.reduce((max, c) => Math.max(max, Number(c.id) || 0), 0) + 1,
+        parentId,
+        author,
+        ...(email ? { email } : {}),
+        body,
+        status: who.admin ? 'approved' : 'pending',
+        createdAt: new Date().toISOString(),
+        ip: who.ip ?? null,
+        userAgent: String(who.userAgent || '').slice(0, 300) || null
+      };
+      list.push(comment);
+      write(post.id, list);
+      log.info(`Comment ${post.id}/${comment.id} by "${author}" (${comment.status})`);
+      return comment;
+    },
+    moderate(postId, id, status, who = {}) {
+      if (!STATUSES.includes(status)) throw new CommentsError('invalid_status', `status must be one of ${STATUSES.join(', ')}.`);
+      const pid = postIdOf(postId);
+      const list = pid === null ? [] : read(pid);
+      const comment = list.find(c => String(c.id) === String(id));
+      if (!comment) throw new CommentsError('comment_not_found', `No comment ${postId}/${id}.`, 404);
+      comment.status = status;
+      comment.moderatedAt = new Date().toISOString();
+      comment.moderatedBy = who.name ?? null;
+      write(pid, list);
+      log.info(`Comment ${pid}/${comment.id} ${status}` + (who.name ? ` by ${who.name}` : ''));
+      return { postId: pid, ...comment };
+    }
+  };
+}
+
+/* ------------------------------- Routes ------------------------------- */
+
+function commentRoutes(store, { log }) {
+  const handle = (fn) => (req, res) => {
+    try {
+      fn(req, res);
+    } catch (e) {
+      if (!(e instanceof CommentsError)) throw e;
+      const body = { ok: false, error: e.code, detail: e.message };
+      if (e.errors) body.errors = e.errors;
+      res.status(e.status).json(body);
+    }
+  };
+  const whoOf = (req) => ({
+    name: req.principal?.name ?? null,
+    admin: !!req.principal && hasRole(req.principal.role, 'admin'),
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    // GET /api/comments?post=
+    list: handle((req, res) => {
+      res.setHeader('Cache-Control', 'no-cache');
+      res.json({ ok: true, comments: store.list(req.query.post) });
+    }),
+    // POST /api/comments
+    add: handle((req, res) => {
+      // Honeypot: people never see the field, bots fill it in; look accepted, store nothing
+      if (req.body?.website) {
+        (req.log || log).warn(`Comment dropped (honeypot) from ${req.ip}`);
+        return res.status(201).json({ ok: true, comment: { id: null, parentId: null, status: 'pending' } });
+      }
+      const { id, parentId, status } = store.add(req.body, whoOf(req));
+      res.status(201).json({ ok: true, comment: { id, parentId, status } });
+    }),
+    // GET /admin/comments?status=
+    queue: handle((req, res) => {
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({ ok: true, comments: store.queue(req.query.status || 'pending') });
+    }),
+    // PUT /admin/comments/:post/:id { status }
+    moderate: handle((req, res) => {
+      res.json({ ok: true, comment: store.moderate(req.params.post, req.params.id, req.body?.status, whoOf(req)) });
+    })
+  };
+}
+
+module.exports = { createCommentStore, commentRoutes, STATUSES, CommentsError };
@@ -0,0 +1,472 @@
+/**
+ * lib/config.js — Central server configuration.
+ * Loads a JSON or YAML file, applies environment overrides, then validates
+ * the result against SCHEMA so a bad value fails at startup, not mid-request.
+ *
+ * Resolution order (last wins):
+ *   1. defaults declared in SCHEMA
+ *   2. config file: $APP_CONFIG, else config/server.config.{json,yaml,yml} if present
+ *   3. environment variables named by each SCHEMA entry's `env`
+ *
+ * Exports:
+ *   - loadConfig({ file?, env?, rootDir? }) -> frozen config object
+ *   - maskSecrets(value) -> deep copy with secret-looking keys replaced
+ *   - ConfigError (err.errors = ['path: message', ...])
+ */
+const fs = require('fs');
+const path = require('path');
+const { ROLES } = require('./rbac');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_FILES = ['server.config.json', 'server.config.yaml', 'server.config.yml']
+  .map(f => path.join(ROOT_DIR, 'config', f));
+// Shortest accepted HMAC key (sessions, preview links, newsletter links)
+const MIN_SECRET_LENGTH = 32;
+
+/* ------------------------------- Schema ------------------------------- */
+
+// Execution policy for one script (see lib/sandbox.js). Scripts without an entry get these defaults.
+const POLICY = {
+  type: 'object',
+  props: {
+    timeoutMs: { type: 'integer', min: 0, optional: true, default: null },
+    maxOutputBytes: { type: 'integer', min: 1024, default: 1024 * 1024 },
+    memoryMb: { type: 'integer', min: 16, optional: true, default: null },
+    cpuSeconds: { type: 'integer', min: 1, optional: true, default: null },
+    scratchDir: { type: 'boolean', default: true },
+    scrubEnv: { type: 'boolean', default: true },
+    envAllow: {
+      type: 'array', items: { type: 'string' },
+      default: ['PATH', 'LANG', 'LC_ALL', 'PYTHONIOENCODING', 'SYSTEMROOT', 'WINDIR', 'COMSPEC']
+    },
+    // false cuts the network off: Linux only (unshare -rn), jobs fail with policy_unsupported elsewhere
+    network: { type: 'boolean', default: true }
+  }
+};
+
+// Each leaf: { type, default?, env? (name or list of names), optional?, min?, max?, enum?, pattern?, secret?, items? }.
+// secret: an HMAC key; at least MIN_SECRET_LENGTH characters and not the example file's "change-me" placeholder.
+// Objects: { type: 'object', props }. Maps of name -> leaf or object: { type: 'map', values, keyPattern? }.
+const SCHEMA = {
+  type: 'object',
+  props: {
+    port: { type: 'integer', min: 1, max: 65535, default: 8080, env: 'PORT' },
+    videos: {
+      type: 'object',
+      props: {
+        // Library folders listed by /video_list (top-level files only)
+        roots: { type: 'array', items: { type: 'string' }, default: [], env: 'VIDEO_ROOTS' },
+        extensions: {
+          type: 'array', items: { type: 'string' },
+          default: ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.m4v', '.webm']
+        }
+      }
+    },
+    python: {
+      type: 'object',
+      props: {
+        exe: { type: 'string', default: process.platform === 'win32' ? 'python' : 'python3', env: ['PYTHON_CMD', 'PYTHON_BIN'] },
+        // Allowed scripts, by name. Routes refer to these names, never to raw paths.
+        // mycellsim (/run_python, /run_python_v0) lives outside the project: name it in the config file
+        // (config/server.config.example.json); until then those routes answer 404 script_not_configured.
+        scripts: {
+          type: 'map', values: { type: 'string' },
+          default: {
+            hacker_snippet: 'js/hacker_terminal_snippet.py',
+            bluetooth_scan: 'js/syslib_scan_bluetooth.py'
+          }
+        },
+        // Per-script execution policy, by script name
+        policies: { type: 'map', values: POLICY, default: {} }
+      }
+    },
+    // Allowed executables, by name (launched detached by /run_exe)
+    executables: { type: 'map', values: { type: 'string' }, default: {} },
+    timeouts: {
+      type: 'object',
+      props: {
+        pythonMs: { type: 'integer', min: 0, default: 120000, env: 'PYTHON_TIMEOUT_MS' },
+        analyzeUrlMs: { type: 'integer', min: 1000, default: 20000, env: 'ANALYZE_URL_TIMEOUT_MS' },
+        bluetoothGraceMs: { type: 'integer', min: 0, default: 3000 }
+      }
+    },
+    jobs: {
+      type: 'object',
+      props: {
+        historySize: { type: 'integer', min: 1, default: 50 },
+        maxOutputLines: { type: 'integer', min: 10, default: 5000 },
+        killGraceMs: { type: 'integer', min: 0, default: 3000 }
+      }
+    },
+    // Per-endpoint limits ("GET /scan_ports": {...}); replaces lib/limiter.js DEFAULT_LIMITS for that endpoint
+    limits: {
+      type: 'map', keyPattern: /^(GET|POST|PUT|PATCH|DELETE) \/\S*$/, default: {},
+      values: {
+        type: 'object',
+        props: {
+          burst: { type: 'integer', min: 1, default: 5 },
+          ratePerMinute: { type: 'integer', min: 1, default: 20 },
+          maxConcurrent: { type: 'integer', min: 1, default: 1 },
+          maxQueue: { type: 'integer', min: 0, default: 0 },
+          queueTimeoutMs: { type: 'integer', min: 0, default: 30000 },
+          cacheTtlMs: { type: 'integer', min: 0, default: 0 }
+        }
+      }
+    },
+    // js/mkLogger.js: console threshold/format, optional JSON-lines file with rotation
+    logging: {
+      type: 'object',
+      props: {
+        level: { type: 'string', enum: ['debug', 'info', 'warn', 'error'], default: 'info', env: 'LOG_LEVEL' },
+        format: { type: 'string', enum: ['pretty', 'json'], default: 'pretty', env: 'LOG_FORMAT' },
+        file: { type: 'string', optional: true, default: null, env: 'LOG_FILE' },
+        maxBytes: { type: 'integer', min: 1024, default: 10 * 1024 * 1024 },
+        maxFiles: { type: 'integer', min: 1, default: 5 },
+        // Also start a new file at the first write of each day
+        daily: { type: 'boolean', default: false },
+        // One line per HTTP request (method, path, status, duration)
+        requests: { type: 'boolean', default: true, env: 'LOG_REQUESTS' },
+        // Recent records kept in memory for /admin/logs
+        bufferSize: { type: 'integer', min: 100, max: 100000, default: 2000 }
+      }
+    },
+    // Browser events posted to /clientlog (lib/clientlog.js), stored as rotating NDJSON
+    clientLogs: {
+      type: 'object',
+      props: {
+        dir: { type: 'string', default: 'data/clientlogs', env: 'CLIENT_LOG_DIR' },
+        maxBytes: { type: 'integer', min: 1024, default: 5 * 1024 * 1024 },
+        maxFiles: { type: 'integer', min: 1, default: 10 },
+        daily: { type: 'boolean', default: true },
+        maxBatch: { type: 'integer', min: 1, max: 1000, default: 50 },
+        maxBodyBytes: { type: 'integer', min: 1024, default: 256 * 1024 },
+        maxMessageChars: { type: 'integer', min: 100, default: 4000 }
+      }
+    },
+    // Blog posts edited through /api/posts (lib/posts.js)
+    posts: {
+      type: 'object',
+      props: {
+        file: { type: 'string', default: 'assets/posts/posts.json', env: 'POSTS_FILE' },
+        // Copy of the previous file kept before each write, newest last
+        backupDir: { type: 'string', default: 'data/backups/posts' },
+        maxBackups: { type: 'integer', min: 1, default: 20 },
+        // Reading speed behind each post's readingTime (lib/posts.js readingStats)
+        wordsPerMinute: { type: 'integer', min: 50, max: 1000, default: 220 },
+        // Signs preview links to unpublished posts; random when unset (links then die on restart)
+        previewSecret: { type: 'string', optional: true, secret: true, default: null, env: 'POSTS_PREVIEW_SECRET' },
+        previewTtlHours: { type: 'integer', min: 1, max: 24 * 90, default: 24 * 7 },
+        // One append-only history per post (lib/revisions.js); older revisions are thinned out:
+        // the newest keepLatest stay, then the last one per day for keepDailyDays, then one per month
+        revisions: {
+          type: 'object',
+          props: {
+            dir: { type: 'string', default: 'data/revisions/posts' },
+            keepLatest: { type: 'integer', min: 1, default: 30 },
+            keepDailyDays: { type: 'integer', min: 0, default: 60 }
+          }
+        }
+      }
+    },
+    // Public blog identity: feeds (lib/feeds.js) and anything else that needs absolute URLs
+    site: {
+      type: 'object',
+      props: {
+        title: { type: 'string', default: 'Michel — Blog' },
+        description: { type: 'string', default: 'Research, essays, and notes by Michel (PhD).' },
+        author: { type: 'string', default: 'Michel' },
+        // Language of posts that do not say (post.lang); one of LOCALES in lib/posts.js
+        language: { type: 'string', enum: ['en', 'fr'], default: 'en' },
+        // e.g. https://example.org; when unset, absolute URLs use the request's host. npm run build needs it
+        baseUrl: { type: 'string', optional: true, default: null, pattern: /^https?:\/\/[^\s/]+(\/\S*)?$/, env: 'SITE_URL' },
+        feedSize: { type: 'integer', min: 1, max: 500, default: 20 }
+      }
+    },
+    // Static per-post pages, sitemap.xml and robots.txt (npm run build, lib/static_build.js)
+    build: {
+      type: 'object',
+      props: {
+        // Directory under the site root, also the URL path of the pages: <baseUrl>/posts/<id>.html
+        outDir: { type: 'string', default: 'posts', pattern: /^[\w-]+(\/[\w-]+)*$/ },
+        // Content hash of each built page, so unchanged posts are skipped
+        manifest: { type: 'string', default: 'data/build/posts.json' }
+      }
+    },
+    // Reader comments under the posts (lib/comments.js), one file per post
+    comments: {
+      type: 'object',
+      props: {
+        dir: { type: 'string', default: 'data/comments' },
+        maxChars: { type: 'integer', min: 100, max: 20000, default: 4000 },
+        // Reply nesting levels; deeper replies attach to the deepest allowed ancestor
+        maxDepth: { type: 'integer', min: 0, max: 10, default: 3 }
+      }
+    },
+    // Outgoing mail (lib/mailer.js): SMTP once smtp.host is set, else .eml files in outboxDir
+    mail: {
+      type: 'object',
+      props: {
+        from: { type: 'string', default: 'Michel <no-reply@localhost>', env: 'MAIL_FROM' },
+        outboxDir: { type: 'string', default: 'data/outbox' },
+        smtp: {
+          type: 'object',
+          props: {
+            host: { type: 'string', optional: true, default: null, env: 'SMTP_HOST' },
+            port: { type: 'integer', min: 1, max: 65535, default: 587, env: 'SMTP_PORT' },
+            // true: TLS from the start (port 465); false: STARTTLS when the server offers it
+            secure: { type: 'boolean', default: false },
+            user: { type: 'string', optional: true, default: null, env: 'SMTP_USER' },
+            password: { type: 'string', optional: true, default: null, env: 'SMTP_PASSWORD' },
+            timeoutMs: { type: 'integer', min: 1000, default: 15000 }
+          }
+        }
+      }
+    },
+    // Newsletter with double opt-in (lib/newsletter.js)
+    newsletter: {
+      type: 'object',
+      props: {
+        file: { type: 'string', default: 'data/newsletter/subscribers.json' },
+        // Signs confirm / unsubscribe links; random when unset (links then die on restart)
+        secret: { type: 'string', optional: true, secret: true, default: null, env: 'NEWSLETTER_SECRET' },
+        confirmTtlHours: { type: 'integer', min: 1, max: 24 * 30, default: 72 },
+        digestMaxPosts: { type: 'integer', min: 1, max: 50, default: 10 }
+      }
+    },
+    sse: {
+      type: 'object',
+      props: {
+        heartbeatMs: { type: 'integer', min: 1000, default: 15000, env: 'SSE_HEARTBEAT_MS' },
+        // lib/sse.js: events kept per stream for Last-Event-ID replay
+        replaySize: { type: 'integer', min: 10, default: 500 },
+        // How long a stream whose client left waits for a reconnect before its producer is cancelled
+        reconnectGraceMs: { type: 'integer', min: 0, default: 10000 },
+        // How long a finished stream stays replayable
+        retainMs: { type: 'integer', min: 0, default: 60000 },
+        // Reconnect delay suggested to browsers ("retry:")
+        retryMs: { type: 'integer', min: 100, default: 3000 }
+      }
+    },
+    auth: {
+      type: 'object',
+      props: {
+        usersFile: { type: 'string', default: 'data/users.json' },
+        // HMAC key for session cookies; when unset a random one is used (sessions reset on restart)
+        sessionSecret: { type: 'string', optional: true, secret: true, default: null, env: 'SESSION_SECRET' },
+        sessionTtlMinutes: { type: 'integer', min: 1, default: 120 },
+        secureCookies: { type: 'boolean', default: false, env: 'COOKIE_SECURE' },
+        // Static pages that require a logged-in member
+        memberPages: { type: 'array', items: { type: 'string' }, default: ['members_page.html', 'syslib_page.html'] }
+      }
+    },
+    access: {
+      type: 'object',
+      props: {
+        // Role given to members whose user record has none
+        defaultRole: { type: 'string', enum: ROLES, default: 'viewer' },
+        tokensFile: { type: 'string', default: 'data/tokens.json' },
+        // Extra/overriding route rules, e.g. { "GET /video_list": "public", "POST /run_exe": "admin" }
+        permissions: {
+          type: 'map', values: { type: 'string', enum: [...ROLES, 'public'] },
+          keyPattern: /^(\*|GET|POST|PUT|PATCH|DELETE) \/\S*$/, default: {}
+        }
+      }
+    }
+  }
+};
+
+class ConfigError extends Error {
+  constructor(errors, source) {
+    super(`Invalid configuration${source ? ` (${source})` : ''}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+    this.source = source || null;
+  }
+}
+
+/* ------------------------------ Helpers ------------------------------- */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// " (or $SESSION_SECRET)" for settings that have an environment override
+function envHint(spec) {
+  const names = [].concat(spec.env || []);
+  return names.length ? ` (or $${names[0]})` : '';
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  try {
+    if (ext === '.yaml' || ext === '.yml') return require('yaml').parse(text) ?? {};
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError([`cannot parse file: ${e.message}`], file);
+  }
+}
+
+/** Convert an env string to the leaf's type; unconvertible values are left for checkLeaf to report. */
+function coerceEnv(raw, spec) {
+  switch (spec.type) {
+    case 'integer': return /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    case 'number': return Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    case 'boolean': return /^(1|true|yes|on)$/i.test(raw) ? true : /^(0|false|no|off)$/i.test(raw) ? false : raw;
+    case 'array': return raw.split(path.delimiter).map(s => s.trim()).filter(Boolean);
+    default: return raw;
+  }
+}
+
+/**
+ * Walk SCHEMA and produce the merged value: default < file < env.
+ * Type errors are collected into `errors` with their dotted path.
+ */
+function resolve(spec, fileValue, env, at, errors, overrides) {
+  if (spec.type === 'object') {
+    if (fileValue !== undefined && !isPlainObject(fileValue)) {
+      errors.push(`${at || '(root)'}: expected an object`);
+      fileValue = undefined;
+    }
+    const src = fileValue || {};
+    const out = {};
+    for (const key of Object.keys(src)) {
+      if (!(key in spec.props)) errors.push(`${at ? at + '.' : ''}${key}: unknown setting`);
+    }
+    for (const [key, sub] of Object.entries(spec.props)) {
+      out[key] = resolve(sub, src[key], env, at ? `${at}.${key}` : key, errors, overrides);
+    }
+    return out;
+  }
+
+  if (spec.type === 'map' && spec.values.type === 'object') {
+    const src = fileValue !== undefined ? fileValue : structuredClone(spec.default);
+    if (!isPlainObject(src)) { errors.push(`${at}: expected an object of name -> settings`); return {}; }
+    const out = {};
+    for (const [k, v] of Object.entries(src)) out[k] = resolve(spec.values, v, {}, `${at}.${k}`, errors, overrides);
+    return out;
+  }
+
+  let value = fileValue !== undefined ? fileValue : structuredClone(spec.default);
+  const envName = [].concat(spec.env || []).find(n => env[n] !== undefined && env[n] !== '');
+  if (envName) {
+    value = coerceEnv(String(env[envName]), spec);
+    overrides.push({ path: at, env: envName });
+  }
+  checkLeaf(spec, value, at, errors);
+  return value;
+}
+
+function checkLeaf(spec, value, at, errors) {
+  if (spec.optional && (value === undefined || value === null || value === '')) return;
+  if (value === undefined) { errors.push(`${at}: required`); return; }
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`${at}: expected ${spec.type}, got ${JSON.stringify(value)}`);
+        return;
+      }
+      if (spec.min !== undefined && value < spec.min) errors.push(`${at}: must be >= ${spec.min} (got ${value})`);
+      if (spec.max !== undefined && value > spec.max) errors.push(`${at}: must be <= ${spec.max} (got ${value})`);
+      return;
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) errors.push(`${at}: expected a non-empty string`);
+      else if (spec.enum && !spec.enum.includes(value)) errors.push(`${at}: must be one of ${spec.enum.join(', ')} (got "${value}")`);
+      else if (spec.pattern && !spec.pattern.test(value)) errors.push(`${at}: must match ${spec.pattern} (got "${value}")`);
+      else if (spec.secret && /^change-me/i.test(value.trim())) errors.push(`${at}: still the example placeholder; set a long random string${envHint(spec)} or leave it null`);
+      else if (spec.secret && value.length < MIN_SECRET_LENGTH) errors.push(`${at}: too short for a signing key (${value.length} characters, at least ${MIN_SECRET_LENGTH})`);
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${at}: expected true/false, got ${JSON.stringify(value)}`);
+      return;
+    case 'array':
+      if (!Array.isArray(value)) { errors.push(`${at}: expected an array`); return; }
+      value.forEach((v, i) => checkLeaf(spec.items, v, `${at}[${i}]`, errors));
+      return;
+    case 'map':
+      if (!isPlainObject(value)) { errors.push(`${at}: expected an object of name -> value`); return; }
+      for (const [k, v] of Object.entries(value)) {
+        if (spec.keyPattern) {
+          if (!spec.keyPattern.test(k)) errors.push(`${at}["${k}"]: key must match ${spec.keyPattern}`);
+        } else if (!/^[A-Za-z0-9_-]+$/.test(k)) errors.push(`${at}.${k}: names may only use letters, digits, '_' and '-'`);
+        checkLeaf(spec.values, v, `${at}.${k}`, errors);
+      }
+      return;
+    default:
+      errors.push(`${at}: unsupported schema type ${spec.type}`);
+  }
+}
+
+/** Resolve relative paths against the project root so cwd doesn't matter. */
+function absolutize(cfg, rootDir) {
+  const abs = (p) => path.resolve(rootDir, p);
+  cfg.videos.roots = cfg.videos.roots.map(abs);
+  cfg.videos.extensions = cfg.videos.extensions.map(e => (e.startsWith('.') ? e : '.' + e).toLowerCase());
+  for (const k of Object.keys(cfg.python.scripts)) cfg.python.scripts[k] = abs(cfg.python.scripts[k]);
+  for (const k of Object.keys(cfg.executables)) cfg.executables[k] = abs(cfg.executables[k]);
+  cfg.auth.usersFile = abs(cfg.auth.usersFile);
+  cfg.access.tokensFile = abs(cfg.access.tokensFile);
+  if (cfg.logging.file) cfg.logging.file = abs(cfg.logging.file);
+  cfg.clientLogs.dir = abs(cfg.clientLogs.dir);
+  cfg.posts.file = abs(cfg.posts.file);
+  cfg.posts.backupDir = abs(cfg.posts.backupDir);
+  cfg.posts.revisions.dir = abs(cfg.posts.revisions.dir);
+  cfg.build.manifest = abs(cfg.build.manifest);
+  cfg.comments.dir = abs(cfg.comments.dir);
+  cfg.mail.outboxDir = abs(cfg.mail.outboxDir);
+  cfg.newsletter.file = abs(cfg.newsletter.file);
+}
+
+function deepFreeze(o) {
+  for (const v of Object.values(o)) if (v && typeof v === 'object') deepFreeze(v);
+  return Object.freeze(o);
+}
+
+/* ------------------------------- Public ------------------------------- */
+
+function loadConfig({ file, env = process.env, rootDir = ROOT_DIR } = {}) {
+  const explicit = file || env.APP_CONFIG;
+  let source = null;
+  let raw = {};
+
+  if (explicit) {
+    source = path.resolve(rootDir, explicit);
+    if (!fs.existsSync(source)) throw new ConfigError(['file not found'], source);
+  } else {
+    source = DEFAULT_FILES.find(f => fs.existsSync(f)) || null;
+  }
+  if (source) raw = readConfigFile(source);
+
+  const errors = [];
+  const overrides = [];
+  const cfg = resolve(SCHEMA, raw, env, '', errors, overrides);
+  // Every script gets a policy; a policy must name a known script
+  for (const name of Object.keys(cfg.python.policies || {})) {
+    if (!Object.hasOwn(cfg.python.scripts || {}, name)) errors.push(`python.policies.${name}: no such script in python.scripts`);
+  }
+  for (const name of Object.keys(cfg.python.scripts || {})) {
+    if (!Object.hasOwn(cfg.python.policies, name)) cfg.python.policies[name] = resolve(POLICY, {}, {}, '', errors, []);
+  }
+  if (errors.length) throw new ConfigError(errors, source || 'defaults + environment');
+
+  absolutize(cfg, rootDir);
+  Object.defineProperty(cfg, 'meta', {
+    value: { source, overrides, rootDir },
+    enumerable: false
+  });
+  return deepFreeze(cfg);
+}
+
+const SECRET_KEY = /(secret|password|passwd|token|apikey|api_key|private)/i;
+
+/** Everything under a secret-looking key is masked, including nested values. */
+function maskSecrets(value, inSecret = false) {
+  if (Array.isArray(value)) return value.map(v => maskSecrets(v, inSecret));
+  if (!isPlainObject(value)) return inSecret && value !== '' && value != null ? '********' : value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = maskSecrets(v, inSecret || SECRET_KEY.test(k));
+  return out;
+}
+
+module.exports = { loadConfig, maskSecrets, ConfigError, SCHEMA };
@@ -0,0 +1,206 @@
+/**
+ * lib/feeds.js — RSS 2.0, Atom and JSON Feed for the blog, built from posts.json.
+ *
+ * Each feed holds the newest config.site.feedSize published posts (isPublished, by date) with title, date,
+ * category and tags, excerpt, the full body (sanitized with js/sanitize_html.js, relative
+ * links made absolute), the cover image as an enclosure, and absolute permalinks
+ * (/posts/<slug>, lib/post_pages.js). Absolute URLs use config.site.baseUrl, else the request's host.
+ *
+ * Caching: ETag = posts version + published ids + format + base URL, Last-Modified =
+ * posts.json mtime or the latest publishAt reached;
+ * matching If-None-Match / If-Modified-Since get 304.
+ *
+ * Routes:
+ *   GET /feed.xml   application/rss+xml
+ *   GET /atom.xml   application/atom+xml
+ *   GET /feed.json  application/feed+json
+ *
+ * Exports:
+ *   - createFeeds({ config, posts }) -> { rss, atom, json }   (express handlers)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sanitizeHTML, sanitizeURL } = require('../js/sanitize_html');
+const { isPublished } = require('./posts');
+
+const MIME = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml', '.avif': 'image/avif' };
+
+const xml = (s) => String(s ?? '').replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+const cdata = (s) => `<![CDATA[${String(s).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+// Posts carry a calendar date; publish them at midnight UTC
+const postTime = (p) => {
+  const t = Date.parse(p.date);
+  return Number.isFinite(t) ? new Date(t) : null;
+};
+
+function createFeeds({ config, posts }) {
+  const site = config.site;
+  const rootDir = config.meta.rootDir;
+
+  const baseOf = (req) => (site.baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '') + '/';
+  const absolute = (url, base) => {
+    try { return new URL(url, base).href; } catch { return null; }
+  };
+
+  /** Enclosure for a cover: absolute URL, MIME type and byte size (0 when not a local file). */
+  function enclosure(cover, base) {
+    const url = sanitizeURL(cover);
+    if (!url) return null;
+    const href = absolute(url, base);
+    if (!href) return null;
+    let length = 0;
+    if (!/^[a-z][\w+.-]*:/i.test(url)) {
+      const file = path.resolve(rootDir, decodeURIComponent(url.split(/[?#]/)[0]).replace(/^\/+/, ''));
+      if (file.startsWith(rootDir + path.sep)) {
+        try { length = fs.statSync(file).size; } catch { }
+      }
+    }
+    const type = MIME[path.extname(new URL(href).pathname).toLowerCase()] || 'application/octet-stream';
+    return { url: href, type, length };
+  }
+
+  /** Sanitized body with relative href/src resolved against the site root (where posts' URLs are relative to). */
+  function bodyHTML(p, base) {
+    const { html } = sanitizeHTML(p.html || `<p>${xml(p.excerpt)}</p>`);
+    return html.replace(/ (href|src|cite)="([^"]*)"/g, (m, attr, url) => {
+      if (url.startsWith('#') || /^[a-z][\w+.-]*:/i.test(url)) return m;
+      const abs = absolute(url.replace(/&amp;/g, '&'), base);
+      return abs ? ` ${attr}="${xml(abs)}"` : m;
+    });
+  }
+
+  /** Newest posts with everything the three formats need. */
+  function items(all, base) {
+    const list = all
+      .filter(p => p && p.id !== undefined && p.title && postTime(p))
+      .sort((a, b) => postTime(b) - postTime(a))
+      .slice(0, site.feedSize);
+    return list.map(p => ({
+      id: String(p.id),
+      url: absolute(`${config.build.outDir}/${p.slug}`, base),
+      title: p.title,
+      date: postTime(p),
+      categories: [p.category, ...(Array.isArray(p.tags) ? p.tags : [])].filter(Boolean),
+      excerpt: p.excerpt || '',
+      html: bodyHTML(p, base),
+      cover: p.cover ? enclosure(p.cover, base) : null
+    }));
+  }
+
+  /** Sets ETag / Last-Modified (the later of the file's mtime and `since`); returns true (after replying 304) when the client copy is current. */
+  function notModified(req, res, etag, since = 0) {
+    let mtime = null;
+    try { mtime = fs.statSync(posts.file).mtime; } catch { }
+    if (mtime && since > mtime.getTime()) mtime = new Date(since);
+    res.setHeader('ETag', `"${etag}"`);
+    if (mtime) res.setHeader('Last-Modified', mtime.toUTCString());
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    if (!req.fresh) return false;
+    res.status(304).end();
+    return true;
+  }
+
+  const handler = (format, type, build) => (req, res) => {
+    try {
+      const { posts: all, version } = posts.read();
+      const now = Date.now();
+      const visible = all.filter(p => p && isPublished(p, now));
+      // A scheduled post going live changes the feed without touching the file
+      const live = visible.map(p => p.id).join(',');
+      const liveSince = Math.max(0, ...visible.map(p => Date.parse(p.publishAt) || 0));
+      const base = baseOf(req);
+      const etag = crypto.createHash('sha256').update(`${version} ${live} ${format} ${base}`).digest('hex').slice(0, 20);
+      if (notModified(req, res, etag, liveSince)) return;
+      res.type(type).send(build(base, items(visible, base)));
+    } catch (e) {
+      res.removeHeader('ETag');
+      res.removeHeader('Last-Modified');
+      res.status(e.status || 500).json({ ok: false, error: e.code || 'feed_failed', detail: e.message });
+    }
+  };
+
+  const updatedOf = (list) => (list.length ? list[0].date : new Date(0));
+
+  // GET /feed.xml
+  const rss = handler('rss', 'application/rss+xml; charset=utf-8', (base, list) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '<channel>',
+    `  <title>${xml(site.title)}</title>`,
+    `  <link>${xml(absolute('blog.html', base))}</link>`,
+    `  <description>${xml(site.description)}</description>`,
+    `  <language>${xml(site.language)}</language>`,
+    `  <lastBuildDate>${updatedOf(list).toUTCString()}</lastBuildDate>`,
+    `  <atom:link href="${xml(absolute('feed.xml', base))}" rel="self" type="application/rss+xml"/>`,
+    ...list.map(it => [
+      '  <item>',
+      `    <title>${xml(it.title)}</title>`,
+      `    <link>${xml(it.url)}</link>`,
+      `    <guid isPermaLink="true">${xml(it.url)}</guid>`,
+      `    <pubDate>${it.date.toUTCString()}</pubDate>`,
+      ...it.categories.map(c => `    <category>${xml(c)}</category>`),
+      `    <description>${xml(it.excerpt)}</description>`,
+      `    <content:encoded>${cdata(it.html)}</content:encoded>`,
+      it.cover ? `    <enclosure url="${xml(it.cover.url)}" length="${it.cover.length}" type="${it.cover.type}"/>` : null,
+      '  </item>'
+    ].filter(Boolean).join('\n')),
+    '</channel>',
+    '</rss>',
+    ''
+  ].join('\n'));
+
+  // GET /atom.xml
+  const atom = handler('atom', 'application/atom+xml; charset=utf-8', (base, list) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${xml(site.language)}">`,
+    `  <title>${xml(site.title)}</title>`,
+    `  <subtitle>${xml(site.description)}</subtitle>`,
+    `  <id>${xml(absolute('blog.html', base))}</id>`,
+    `  <link rel="alternate" type="text/html" href="${xml(absolute('blog.html', base))}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${xml(absolute('atom.xml', base))}"/>`,
+    `  <updated>${updatedOf(list).toISOString()}</updated>`,
+    `  <author><name>${xml(site.author)}</name></author>`,
+    ...list.map(it => [
+      '  <entry>',
+      `    <title>${xml(it.title)}</title>`,
+      `    <id>${xml(it.url)}</id>`,
+      `    <link rel="alternate" type="text/html" href="${xml(it.url)}"/>`,
+      `    <published>${it.date.toISOString()}</published>`,
+      `    <updated>${it.date.toISOString()}</updated>`,
+      ...it.categories.map(c => `    <category term="${xml(c)}"/>`),
+      `    <summary>${xml(it.excerpt)}</summary>`,
+      `    <content type="html">${xml(it.html)}</content>`,
+      it.cover ? `    <link rel="enclosure" href="${xml(it.cover.url)}" type="${it.cover.type}" length="${it.cover.length}"/>` : null,
+      '  </entry>'
+    ].filter(Boolean).join('\n')),
+    '</feed>',
+    ''
+  ].join('\n'));
+
+  // GET /feed.json (JSON Feed 1.1)
+  const json = handler('json', 'application/feed+json; charset=utf-8', (base, list) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: site.title,
+    description: site.description,
+    language: site.language,
+    home_page_url: absolute('blog.html', base),
+    feed_url: absolute('feed.json', base),
+    authors: [{ name: site.author }],
+    items: list.map(it => ({
+      id: it.url,
+      url: it.url,
+      title: it.title,
+      summary: it.excerpt,
+      content_html: it.html,
+      date_published: it.date.toISOString(),
+      tags: it.categories.length ? it.categories : undefined,
+      image: it.cover ? it.cover.url : undefined,
+      attachments: it.cover ? [{ url: it.cover.url, mime_type: it.cover.type, size_in_bytes: it.cover.length || undefined }] : undefined
+    }))
+  }, null, 2));
+
+  return { rss, atom, json };
+}
+
+module.exports = { createFeeds };
@@ -0,0 +1,50 @@
+/**
+ * lib/health.js — Liveness and readiness probes for unattended runs.
+ *
+ *   GET /healthz -> 200 { ok: true, uptime } whenever the process can answer at all
+ *   GET /readyz  -> 200 when every check passes, else 503; body { ok, checks: [{ name, ok, detail? }] }
+ *
+ * A check is { name, run() -> true | string describing what is wrong }; a check
+ * that throws counts as failed. Details name config keys, never file system paths,
+ * since both probes are public.
+ *
+ * Exports:
+ *   - healthRoutes({ checks }) -> { healthz, readyz }
+ *   - dirCheck(name, dir) -> check that `dir` exists and is a directory
+ */
+const fs = require('fs');
+
+function dirCheck(name, dir) {
+  return {
+    name,
+    run() {
+      try {
+        return fs.statSync(dir).isDirectory() || 'not a directory';
+      } catch (e) {
+        return e.code === 'ENOENT' ? 'missing' : e.code || e.message;
+      }
+    }
+  };
+}
+
+function healthRoutes({ checks }) {
+  function healthz(_req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok: true, uptime: Math.round(process.uptime()) });
+  }
+
+  function readyz(_req, res) {
+    const results = checks.map(({ name, run }) => {
+      let outcome;
+      try { outcome = run(); } catch (e) { outcome = e.message; }
+      return outcome === true ? { name, ok: true } : { name, ok: false, detail: String(outcome) };
+    });
+    const ok = results.every(r => r.ok);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(ok ? 200 : 503).json({ ok, checks: results });
+  }
+
+  return { healthz, readyz };
+}
+
+module.exports = { healthRoutes, dirCheck };
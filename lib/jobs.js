@@ -0,0 +1,291 @@
+/**
+ * lib/jobs.js — Background job runner for allowlisted Python scripts.
+ *
+ * A job is one run of a script named in config.python.scripts. It gets an id,
+ * runs in the background, and keeps its stdout/stderr lines so clients can
+ * poll its status or follow it live over SSE. Finished jobs stay in a bounded
+ * history (config.jobs.historySize), oldest dropped first.
+ *
+ * Each run follows the script's execution policy (lib/sandbox.js). A policy
+ * violation ends the job as 'failed' with a structured error:
+ *   { code: 'timeout' | 'output_limit' | 'memory_limit' | 'cpu_limit' | 'policy_unsupported' | 'spawn_failed', message }
+ *
+ * Routes (mounted at /jobs by server.js):
+ *   GET    /jobs                 -> recent jobs (no output)
+ *   POST   /jobs { script }      -> 202 { id, status, ... }
+ *   GET    /jobs/:id             -> status + exit code (?output=1 adds the lines)
+ *   GET    /jobs/:id/stream      -> SSE through lib/sse.js: `start`, past lines, then live `line`s, then `end`
+ *   DELETE /jobs/:id             -> cancel (SIGTERM, then SIGKILL after a grace period)
+ *
+ * Exports:
+ *   - createJobRunner({ config, log }) -> { start(script), get(id), list(), cancel(id) }
+ *   - jobRoutes(runner, { config, sse }) -> express.Router (sse: lib/sse.js hub)
+ */
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { prepareSpawn, classifyExit } = require('./sandbox');
+
+const FINAL = new Set(['succeeded', 'failed', 'cancelled']);
+
+const VIOLATION_MESSAGES = {
+  timeout: (p) => `Exceeded the ${p.timeoutMs} ms time limit`,
+  output_limit: (p) => `Exceeded the ${p.maxOutputBytes} byte output limit`,
+  memory_limit: (p) => `Ran out of memory (limit ${p.memoryMb} MB)`,
+  cpu_limit: (p) => `Exceeded the ${p.cpuSeconds} s CPU limit`
+};
+
+function createJobRunner({ config, log }) {
+  const { historySize, maxOutputLines, killGraceMs } = config.jobs;
+  const jobs = new Map(); // id -> job (insertion order = creation order)
+
+  function summary(job, withOutput = false) {
+    const out = {
+      id: job.id,
+      script: job.script,
+      status: job.status,
+      pid: job.pid,
+      exitCode: job.exitCode,
+      signal: job.signal,
+      error: job.error,
+      policy: job.policy,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      endedAt: job.endedAt,
+      lines: job.seq,
+      truncated: job.dropped > 0
+    };
+    if (withOutput) out.output = job.output.slice();
+    return out;
+  }
+
+  /** Drop the oldest finished jobs once history is over its limit. */
+  function prune() {
+    let excess = jobs.size - historySize;
+    for (const [id, job] of jobs) {
+      if (excess <= 0) break;
+      if (FINAL.has(job.status)) { jobs.delete(id); excess--; }
+    }
+  }
+
+  function pushLine(job, stream, text) {
+    if (job.outputClosed) return;
+    if (stream === 'stderr') job.stderrTail = (job.stderrTail + text + '\n').slice(-4096);
+    const entry = { seq: ++job.seq, stream, text, at: new Date().toISOString() };
+    job.output.push(entry);
+    if (job.output.length > maxOutputLines) { job.output.shift(); job.dropped++; }
+    job.events.emit('line', entry);
+  }
+
+  /** Split chunks into lines; keeps the partial tail until the next chunk or stream end. */
+  function lineSplitter(job, stream) {
+    let tail = '';
+    return {
+      write(chunk) {
+        job.outputBytes += Buffer.byteLength(chunk);
+        if (job.outputBytes > job.policy.maxOutputBytes && !job.outputClosed) {
+          job.violation = 'output_limit';
+          pushLine(job, 'stderr', `[output limit of ${job.policy.maxOutputBytes} bytes reached, process killed]`);
+          job.outputClosed = true;
+          kill(job);
+          return;
+        }
+        const parts = (tail + chunk).split(/\r?\n/);
+        tail = parts.pop();
+        for (const p of parts) pushLine(job, stream, p);
+      },
+      flush() { if (tail) pushLine(job, stream, tail); tail = ''; }
+    };
+  }
+
+  function finish(job, status, extra = {}) {
+    if (FINAL.has(job.status)) return;
+    Object.assign(job, extra, { status, endedAt: new Date().toISOString() });
+    clearTimeout(job.killTimer);
+    log.ok(`Job ${job.id} (${job.script}) ${status} code=${job.exitCode} signal=${job.signal ?? 'null'}`);
+    job.events.emit('end', summary(job));
+    job.resolve(summary(job, true));
+    prune();
+  }
+
+  /**
+   * Start a job for an allowlisted script name.
+   * Throws { code: 'unknown_script' } if the name is not in config.python.scripts.
+   */
+  function start(script) {
+    const scriptPath = Object.hasOwn(config.python.scripts, script) ? config.python.scripts[script] : null;
+    if (!scriptPath) {
+      const err = new Error(`Unknown script "${script}"`);
+      err.code = 'unknown_script';
+      throw err;
+    }
+
+    const policy = config.python.policies[script];
+    const timeoutMs = policy.timeoutMs ?? config.timeouts.pythonMs;
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      script,
+      policy: { ...policy, timeoutMs },
+      status: 'running',
+      pid: null,
+      exitCode: null,
+      signal: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      endedAt: null,
+      seq: 0,
+      dropped: 0,
+      output: [],
+      outputBytes: 0,
+      outputClosed: false,
+      stderrTail: '',
+      violation: null,
+      events: new EventEmitter(),
+      child: null,
+      killTimer: null,
+      timeoutTimer: null
+    };
+    job.events.setMaxListeners(0); // one listener per SSE viewer
+    job.done = new Promise((resolve) => { job.resolve = resolve; });
+    jobs.set(job.id, job);
+
+    let spec;
+    try {
+      spec = prepareSpawn(policy, config.python.exe, ['-u', scriptPath], { rootDir: config.meta.rootDir });
+    } catch (e) {
+      log.error(`Job ${job.id} refused: ${e.message}`);
+      finish(job, 'failed', { error: { code: e.code || 'spawn_failed', message: e.message } });
+      return job;
+    }
+    for (const w of spec.warnings) log.warn(`Job ${job.id}: ${w}`);
+
+    const child = spawn(spec.command, spec.args, spec.options);
+    job.child = child;
+    job.pid = child.pid ?? null;
+    job.startedAt = new Date().toISOString();
+    log.ok(`Job ${job.id} started: ${spec.command} ${spec.args.join(' ')}`);
+
+    const out = lineSplitter(job, 'stdout');
+    const err = lineSplitter(job, 'stderr');
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (c) => out.write(c));
+    child.stderr.on('data', (c) => err.write(c));
+
+    child.once('error', (e) => {
+      log.error(`Job ${job.id} spawn error: ${e.message}`);
+      clearTimeout(job.timeoutTimer);
+      spec.cleanup();
+      finish(job, 'failed', { error: { code: 'spawn_failed', message: e.message } });
+    });
+    child.once('close', (code, signal) => {
+      clearTimeout(job.timeoutTimer);
+      spec.cleanup();
+      out.flush();
+      err.flush();
+      const violation = job.violation || classifyExit({ signal, stderrTail: job.stderrTail, policy });
+      const status = job.cancelRequested ? 'cancelled' : code === 0 && !violation ? 'succeeded' : 'failed';
+      const error = violation ? { code: violation, message: VIOLATION_MESSAGES[violation](job.policy) } : null;
+      finish(job, status, { exitCode: code, signal: signal ?? null, error });
+    });
+
+    // Wall-clock limit (0 = none)
+    if (timeoutMs > 0) {
+      job.timeoutTimer = setTimeout(() => {
+        log.warn(`Job ${job.id} exceeded ${timeoutMs} ms; killing it.`);
+        job.violation = 'timeout';
+        kill(job);
+      }, timeoutMs);
+    }
+
+    return job;
+  }
+
+  /** SIGTERM, then SIGKILL if the process is still around after the grace period. */
+  function kill(job) {
+    try { job.child.kill('SIGTERM'); } catch { }
+    clearTimeout(job.killTimer);
+    job.killTimer = setTimeout(() => { try { job.child.kill('SIGKILL'); } catch { } }, killGraceMs);
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINAL.has(job.status)) return job;
+    job.cancelRequested = true;
+    kill(job);
+    return job;
+  }
+
+  return {
+    start,
+    cancel,
+    get: (id) => jobs.get(id) || null,
+    list: () => [...jobs.values()].reverse().map(j => summary(j)),
+    summary,
+    isFinal: (job) => FINAL.has(job.status)
+  };
+}
+
+/* ------------------------------- Routes ------------------------------- */
+
+function jobRoutes(runner, { config, sse }) {
+  const router = express.Router();
+
+  router.get('/', (_req, res) => res.json({ jobs: runner.list() }));
+
+  router.post('/', (req, res) => {
+    const script = String(req.body?.script || '').trim();
+    if (!script) return res.status(400).json({ error: 'missing_script', scripts: Object.keys(config.python.scripts) });
+    try {
+      const job = runner.start(script);
+      res.status(202).location(`/jobs/${job.id}`).json(runner.summary(job));
+    } catch (e) {
+      if (e.code !== 'unknown_script') throw e;
+      res.status(404).json({ error: 'unknown_script', detail: e.message, scripts: Object.keys(config.python.scripts) });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const job = runner.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'job_not_found' });
+    res.json(runner.summary(job, req.query.output === '1'));
+  });
+
+  router.delete('/:id', (req, res) => {
+    const job = runner.cancel(req.params.id);
+    if (!job) return res.status(404).json({ error: 'job_not_found' });
+    res.status(runner.isFinal(job) ? 200 : 202).json(runner.summary(job));
+  });
+
+  // Leaving the stream only stops following the job; DELETE /jobs/:id cancels it
+  const follow = sse.handler(async (stream, req) => {
+    const job = runner.get(req.params.id);
+    stream.send('start', { job: runner.summary(job) });
+    for (const entry of job.output) stream.send('line', entry);
+    if (runner.isFinal(job)) return stream.send('end', { job: runner.summary(job) });
+    await new Promise((resolve) => {
+      const onLine = (entry) => stream.send('line', entry);
+      const onEnd = (s) => { stream.send('end', { job: s }); stop(); };
+      const stop = () => {
+        job.events.off('line', onLine);
+        job.events.off('end', onEnd);
+        resolve();
+      };
+      job.events.on('line', onLine);
+      job.events.on('end', onEnd);
+      stream.signal.addEventListener('abort', stop, { once: true });
+    });
+  });
+
+  router.get('/:id/stream', (req, res) => {
+    if (!runner.get(req.params.id)) return res.status(404).json({ error: 'job_not_found' });
+    follow(req, res);
+  });
+
+  return router;
+}
+
+module.exports = { createJobRunner, jobRoutes };
@@ -0,0 +1,178 @@
+/**
+ * lib/limiter.js — Rate limiting, concurrency caps and short-TTL result caching
+ * for endpoints that spawn processes, fetch remote pages or accept writes from anyone.
+ *
+ * Per endpoint ("METHOD /path"):
+ *   - token bucket per client (principal name, else IP): `burst` requests at once,
+ *     refilled at `ratePerMinute`; empty bucket -> 429 + Retry-After
+ *   - at most `maxConcurrent` runs; extra requests wait in a FIFO of `maxQueue`
+ *     (0 = reply 429 at once) for up to `queueTimeoutMs` (then 503 + Retry-After)
+ *   - `cacheTtlMs` > 0: identical requests within the TTL reuse the previous
+ *     200 JSON body (X-Cache: HIT). Only res.json() replies are cached, never streams.
+ *
+ * Defaults below; config.limits entries replace them per endpoint.
+ *
+ * Exports:
+ *   - DEFAULT_LIMITS
+ *   - createLimits({ config, log }) -> { guard(key), stats() }
+ */
+
+const DEFAULT_LIMITS = {
+  'GET /scan_ports': { burst: 2, ratePerMinute: 4, maxConcurrent: 1, maxQueue: 0, queueTimeoutMs: 0, cacheTtlMs: 0 },
+  'GET /analyze_url': { burst: 5, ratePerMinute: 20, maxConcurrent: 3, maxQueue: 5, queueTimeoutMs: 30000, cacheTtlMs: 30000 },
+  'GET /scan_bluetooth': { burst: 2, ratePerMinute: 6, maxConcurrent: 1, maxQueue: 2, queueTimeoutMs: 70000, cacheTtlMs: 10000 },
+  'GET /networks_scan': { burst: 3, ratePerMinute: 12, maxConcurrent: 1, maxQueue: 3, queueTimeoutMs: 30000, cacheTtlMs: 10000 },
+  'GET /network/connections': { burst: 5, ratePerMinute: 30, maxConcurrent: 2, maxQueue: 5, queueTimeoutMs: 15000, cacheTtlMs: 3000 },
+  'GET /network_inspector': { burst: 5, ratePerMinute: 30, maxConcurrent: 2, maxQueue: 5, queueTimeoutMs: 15000, cacheTtlMs: 0 },
+  'POST /clientlog': { burst: 30, ratePerMinute: 120, maxConcurrent: 4, maxQueue: 20, queueTimeoutMs: 5000, cacheTtlMs: 0 },
+  'POST /api/comments': { burst: 3, ratePerMinute: 2, maxConcurrent: 2, maxQueue: 5, queueTimeoutMs: 5000, cacheTtlMs: 0 },
+  'POST /api/newsletter/subscribe': { burst: 3, ratePerMinute: 2, maxConcurrent: 2, maxQueue: 5, queueTimeoutMs: 5000, cacheTtlMs: 0 }
+};
+
+const IDLE_SWEEP_MS = 5 * 60 * 1000;
+
+function createLimits({ config, log }) {
+  const endpoints = new Map();
+
+  function endpoint(key) {
+    if (endpoints.has(key)) return endpoints.get(key);
+    const opts = config.limits[key] || DEFAULT_LIMITS[key];
+    if (!opts) throw new Error(`No limits configured for "${key}"`);
+    const ep = {
+      key,
+      opts,
+      buckets: new Map(), // client -> { tokens, at }
+      active: 0,
+      queue: [], // { resolve, timer }
+      cache: new Map(), // cacheKey -> { body, expiresAt }
+      avgMs: 1000,
+      counters: { allowed: 0, rateLimited: 0, rejectedBusy: 0, queueTimeouts: 0, cacheHits: 0 }
+    };
+    endpoints.set(key, ep);
+    return ep;
+  }
+
+  // Forget idle buckets and expired cache entries now and then
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const ep of endpoints.values()) {
+      for (const [client, b] of ep.buckets) if (now - b.at > IDLE_SWEEP_MS) ep.buckets.delete(client);
+      for (const [k, c] of ep.cache) if (c.expiresAt <= now) ep.cache.delete(k);
+    }
+  }, IDLE_SWEEP_MS);
+  sweeper.unref();
+
+  /** Take one token; returns 0 when allowed, else seconds until the next token. */
+  function takeToken(ep, client) {
+    const { burst, ratePerMinute } = ep.opts;
+    const perMs = ratePerMinute / 60000;
+    const now = Date.now();
+    const b = ep.buckets.get(client) || { tokens: burst, at: now };
+    b.tokens = Math.min(burst, b.tokens + (now - b.at) * perMs);
+    b.at = now;
+    ep.buckets.set(client, b);
+    if (b.tokens >= 1) { b.tokens -= 1; return 0; }
+    return Math.max(1, Math.ceil((1 - b.tokens) / perMs / 1000));
+  }
+
+  function release(ep, startedAt) {
+    ep.active--;
+    ep.avgMs = ep.avgMs * 0.7 + (Date.now() - startedAt) * 0.3;
+    const next = ep.queue.shift();
+    if (next) { clearTimeout(next.timer); next.resolve(true); }
+  }
+
+  /** Wait for a run slot. Resolves true when acquired, false on timeout or when the client left. */
+  function acquire(ep, res) {
+    if (ep.active < ep.opts.maxConcurrent) { ep.active++; return Promise.resolve(true); }
+    return new Promise((resolve) => {
+      const waiter = {
+        resolve: (ok) => { res.off('close', onClose); if (ok) ep.active++; resolve(ok); },
+        timer: null
+      };
+      const drop = () => { const i = ep.queue.indexOf(waiter); if (i >= 0) ep.queue.splice(i, 1); };
+      const onClose = () => { drop(); clearTimeout(waiter.timer); waiter.resolve(false); };
+      waiter.timer = setTimeout(() => { drop(); waiter.resolve(false); }, ep.opts.queueTimeoutMs);
+      res.on('close', onClose);
+      ep.queue.push(waiter);
+    });
+  }
+
+  function cacheKey(req) {
+    const q = Object.keys(req.query).sort().map(k => `${k}=${req.query[k]}`).join('&');
+    const sse = (req.get('accept') || '').includes('text/event-stream') ? '|sse' : '';
+    return `${req.path}?${q}${sse}`;
+  }
+
+  function reject(res, status, error, retryAfter, ep) {
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(status).json({ ok: false, error, endpoint: ep.key, retryAfter });
+  }
+
+  /** Middleware for one endpoint key, e.g. guard('GET /scan_ports'). */
+  function guard(key) {
+    const ep = endpoint(key);
+    const { maxQueue, cacheTtlMs } = ep.opts;
+
+    return async (req, res, next) => {
+      const client = req.principal?.name || req.ip;
+
+      const wait = takeToken(ep, client);
+      if (wait) {
+        ep.counters.rateLimited++;
+        (req.log || log).warn(`429 ${key}: rate limit for ${client}`);
+        return reject(res, 429, 'rate_limited', wait, ep);
+      }
+
+      const ck = cacheTtlMs > 0 ? cacheKey(req) : null;
+      const hit = ck && ep.cache.get(ck);
+      if (hit && hit.expiresAt > Date.now()) {
+        ep.counters.cacheHits++;
+        res.setHeader('X-Cache', 'HIT');
+        res.setHeader('Age', String(Math.floor((Date.now() - hit.storedAt) / 1000)));
+        return res.json(hit.body);
+      }
+
+      if (ep.active >= ep.opts.maxConcurrent && ep.queue.length >= maxQueue) {
+        ep.counters.rejectedBusy++;
+        return reject(res, 429, 'too_busy', Math.max(1, Math.ceil(ep.avgMs / 1000)), ep);
+      }
+      if (!(await acquire(ep, res))) {
+        if (res.destroyed || res.headersSent) return;
+        ep.counters.queueTimeouts++;
+        return reject(res, 503, 'queue_timeout', Math.max(1, Math.ceil(ep.avgMs / 1000)), ep);
+      }
+
+      ep.counters.allowed++;
+      const startedAt = Date.now();
+      let released = false;
+      const done = () => { if (!released) { released = true; release(ep, startedAt); } };
+      res.on('finish', done);
+      res.on('close', done);
+
+      if (ck) {
+        res.setHeader('X-Cache', 'MISS');
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          if (res.statusCode === 200) ep.cache.set(ck, { body, storedAt: Date.now(), expiresAt: Date.now() + cacheTtlMs });
+          return json(body);
+        };
+      }
+      next();
+    };
+  }
+
+  function stats() {
+    return [...endpoints.values()].map(ep => ({
+      endpoint: ep.key,
+      active: ep.active,
+      queued: ep.queue.length,
+      cached: ep.cache.size,
+      ...ep.counters
+    }));
+  }
+
+  return { guard, stats };
+}
+
+module.exports = { DEFAULT_LIMITS, createLimits };
@@ -0,0 +1,145 @@
+/**
+ * lib/logbuffer.js — Recent log records in memory, for the admin log viewer (admin_logs.html).
+ *
+ * Every record js/mkLogger.js emits (server modules and /clientlog lines) gets a
+ * sequence number and stays until config.logging.bufferSize newer ones push it out.
+ * A record's `source` is the file that logged it, or "client" for /clientlog lines.
+ *
+ * Filters (query string, all optional):
+ *   level=warn              minimum level (debug < info < warn < error)
+ *   source=server.js,client one or more sources
+ *   since=, until=          ISO date or epoch milliseconds
+ *   q=                      case-insensitive text in message, extra, route or request id
+ *   after=<seq>             only records newer than this sequence number
+ *   limit=                  newest N matches (default 200, max 2000)
+ *
+ * Routes (mounted at /admin/logs by server.js; admin only through '* /admin/*'):
+ *   GET /admin/logs         -> { records, lastSeq, sources }
+ *   GET /admin/logs/stream  -> SSE tail through lib/sse.js: `ready`, the last `tail` matches (or
+ *                              those after ?after=), then live records (event: log; a reconnect
+ *                              resumes from Last-Event-ID)
+ *
+ * Exports:
+ *   - createLogBuffer({ config }) -> { push(record), query(filters), subscribe(fn), sources(), lastSeq() }
+ *   - parseFilters(query) -> filters | { error }
+ *   - logRoutes(buffer, { sse }) -> express.Router (sse: lib/sse.js hub)
+ */
+const express = require('express');
+const { LEVELS } = require('../js/mkLogger');
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 2000;
+
+function createLogBuffer({ config }) {
+  const size = config.logging.bufferSize;
+  const records = [];
+  const listeners = new Set();
+  const sourceSet = new Set();
+  let seq = 0;
+
+  function push(rec) {
+    const entry = { seq: ++seq, ...rec, source: rec.kind === 'clientlog' ? 'client' : rec.ctx || 'unknown' };
+    records.push(entry);
+    if (records.length > size) records.shift();
+    sourceSet.add(entry.source);
+    for (const fn of listeners) fn(entry);
+  }
+
+  function query(filters) {
+    const limit = filters.limit || DEFAULT_LIMIT;
+    const out = [];
+    for (let i = records.length - 1; i >= 0 && out.length < limit; i--) {
+      if (records[i].seq <= (filters.after || 0)) break;
+      if (matches(records[i], filters)) out.push(records[i]);
+    }
+    return out.reverse();
+  }
+
+  return {
+    push,
+    query,
+    lastSeq: () => seq,
+    sources: () => [...sourceSet].sort(),
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    }
+  };
+}
+
+function matches(rec, f) {
+  if (f.level && LEVELS[rec.level] < LEVELS[f.level]) return false;
+  if (f.sources && !f.sources.includes(rec.source)) return false;
+  if (f.after && rec.seq <= f.after) return false;
+  if (f.since || f.until) {
+    const t = Date.parse(rec.time);
+    if (f.since && t < f.since) return false;
+    if (f.until && t > f.until) return false;
+  }
+  if (f.q) {
+    const hay = [rec.msg, rec.reqId, rec.route, rec.extra === undefined ? '' : JSON.stringify(rec.extra)].join(' ').toLowerCase();
+    if (!hay.includes(f.q)) return false;
+  }
+  return true;
+}
+
+/** Query string -> filters; returns { error } for values that can't be understood. */
+function parseFilters(query) {
+  const f = {};
+  const str = (k) => (typeof query[k] === 'string' ? query[k].trim() : '');
+
+  if (str('level')) {
+    if (!LEVELS[str('level')]) return { error: `level must be one of: ${Object.keys(LEVELS).join(', ')}` };
+    f.level = str('level');
+  }
+  if (str('source')) f.sources = str('source').split(',').map(s => s.trim()).filter(Boolean);
+  for (const k of ['since', 'until']) {
+    if (!str(k)) continue;
+    const t = /^\d+$/.test(str(k)) ? Number(str(k)) : Date.parse(str(k));
+    if (!Number.isFinite(t)) return { error: `${k} must be an ISO date or epoch milliseconds` };
+    f[k] = t;
+  }
+  if (str('q')) f.q = str('q').toLowerCase();
+  if (str('after')) f.after = Math.max(0, parseInt(str('after'), 10) || 0);
+  if (str('limit')) f.limit = Math.max(1, Math.min(MAX_LIMIT, parseInt(str('limit'), 10) || DEFAULT_LIMIT));
+  return f;
+}
+
+/* ------------------------------- Routes ------------------------------- */
+
+function logRoutes(buffer, { sse }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const filters = parseFilters(req.query);
+    if (filters.error) return res.status(400).json({ ok: false, error: 'invalid_filter', detail: filters.error });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ records: buffer.query(filters), lastSeq: buffer.lastSeq(), sources: buffer.sources() });
+  });
+
+  const tailStream = sse.handler(async (stream, req) => {
+    const filters = parseFilters(req.query);
+    const tailArg = parseInt(req.query.tail, 10);
+    const tail = Number.isFinite(tailArg) ? Math.max(0, Math.min(MAX_LIMIT, tailArg)) : DEFAULT_LIMIT;
+
+    // Replay (everything after ?after=, else the last `tail` matches), then follow live until the client is gone
+    const replay = filters.after ? buffer.query({ ...filters, limit: MAX_LIMIT }) : tail ? buffer.query({ ...filters, limit: tail }) : [];
+    stream.send('ready', { lastSeq: buffer.lastSeq(), sources: buffer.sources() });
+    for (const rec of replay) stream.send('log', rec);
+
+    const live = { ...filters, after: 0 };
+    const unsubscribe = buffer.subscribe((rec) => { if (matches(rec, live)) stream.send('log', rec); });
+    await new Promise((resolve) => stream.signal.addEventListener('abort', resolve, { once: true }));
+    unsubscribe();
+  });
+
+  router.get('/stream', (req, res) => {
+    const filters = parseFilters(req.query);
+    if (filters.error) return res.status(400).json({ ok: false, error: 'invalid_filter', detail: filters.error });
+    tailStream(req, res);
+  });
+
+  return router;
+}
+
+module.exports = { createLogBuffer, parseFilters, logRoutes };
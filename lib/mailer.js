@@ -0,0 +1,143 @@
+/**
+ * lib/mailer.js — Outgoing mail: SMTP when config.mail.smtp.host is set, else a file outbox.
+ *
+ * Messages are UTF-8 plain text with an optional HTML alternative. Until SMTP is set up
+ * every message is written to <config.mail.outboxDir>/<time>-<id>.eml: a complete
+ * RFC 5322 message, readable as text or openable in any mail client.
+ *
+ * The SMTP client is deliberately small (no dependency): one connection per message,
+ * implicit TLS when smtp.secure (port 465), else STARTTLS whenever the server offers it,
+ * AUTH PLAIN when smtp.user is set, then MAIL FROM / RCPT TO / DATA.
+ *
+ * Exports:
+ *   - createMailer({ config, log }) -> { transport, send({ to, subject, text, html?, headers? }) -> Promise<{ id, transport, file? }> }
+ *   - formatMessage({ from, to, subject, text, html, headers }, id) -> string (CRLF line endings)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+// RFC 2047 for headers with non-ASCII text
+const encodeWord = (s) => (/^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`);
+// Header values must not smuggle extra headers in
+const oneLine = (s) => String(s ?? '').replace(/[\r\n]+/g, ' ').trim();
+const base64Lines = (s) => Buffer.from(s, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+const addressOf = (s) => (/<([^>]+)>/.exec(s) || [null, s])[1].trim();
+
+/** The full message text; `id` becomes the Message-ID. */
+function formatMessage({ from, to, subject, text, html, headers = {} }, id) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const head = [
+    `From: ${oneLine(from)}`,
+    `To: ${oneLine(to)}`,
+    `Subject: ${encodeWord(oneLine(subject))}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${id}@${domain}>`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([k, v]) => `${oneLine(k)}: ${oneLine(v)}`)
+  ];
+  const part = (type, body) => [`Content-Type: ${type}; charset=UTF-8`, 'Content-Transfer-Encoding: base64', '', base64Lines(body)];
+  if (!html) return [...head, ...part('text/plain', text), ''].join('\r\n');
+  const boundary = `=_${id}`;
+  return [
+    ...head,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`, ...part('text/plain', text),
+    `--${boundary}`, ...part('text/html', html),
+    `--${boundary}--`, ''
+  ].join('\r\n');
+}
+
+/** Sends one message over SMTP; resolves when the server accepted it. */
+function smtpSend(smtp, envelope, data) {
+  return new Promise((resolve, reject) => {
+    let socket;
+    let buffer = '';
+    let waiting = null; // { resolve, reject } for the next reply
+    const fail = (e) => { if (socket) socket.destroy(); reject(e); };
+
+    const attach = (s) => {
+      socket = s;
+      socket.setEncoding('utf8');
+      socket.setTimeout(smtp.timeoutMs, () => fail(new Error(`SMTP timeout after ${smtp.timeoutMs} ms`)));
+      socket.on('error', fail);
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        // A reply is complete on a line "NNN text" (not "NNN-text")
+        const m = /(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/.exec(buffer);
+        if (!m || !waiting) return;
+        const reply = { code: Number(m[1]), text: buffer };
+        buffer = '';
+        const w = waiting;
+        waiting = null;
+        w.resolve(reply);
+      });
+    };
+    const next = () => new Promise((res, rej) => { waiting = { resolve: res, reject: rej }; });
+    const command = async (line, ok) => {
+      const reply = next();
+      if (line !== null) socket.write(line + '\r\n');
+      const r = await reply;
+      if (!ok.includes(Math.floor(r.code / 100) * 100) && !ok.includes(r.code)) {
+        throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]}: ${r.text.trim()}`);
+      }
+      return r;
+    };
+
+    (async () => {
+      const opts = { host: smtp.host, port: smtp.port, servername: smtp.host };
+      attach(smtp.secure ? tls.connect(opts) : net.connect(opts));
+      await command(null, [200]);
+      let ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [200]);
+      if (!smtp.secure && /STARTTLS/i.test(ehlo.text)) {
+        await command('STARTTLS', [200]);
+        const plain = socket;
+        plain.removeAllListeners('data');
+        plain.setTimeout(0);
+        attach(tls.connect({ socket: plain, servername: smtp.host }));
+        ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [200]);
+      }
+      if (smtp.user) {
+        const auth = Buffer.from(`\0${smtp.user}\0${smtp.password || ''}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${auth}`, [235]);
+      }
+      await command(`MAIL FROM:<${envelope.from}>`, [200]);
+      await command(`RCPT TO:<${envelope.to}>`, [200]);
+      await command('DATA', [354]);
+      // Dot-stuffing: a line starting with "." gets a second one
+      await command(data.replace(/\r\n\./g, '\r\n..') + '\r\n.', [200]);
+      await command('QUIT', [200]).catch(() => {});
+      socket.end();
+      resolve();
+    })().catch(fail);
+  });
+}
+
+function createMailer({ config, log }) {
+  const { from, outboxDir, smtp } = config.mail;
+  const transport = smtp.host ? 'smtp' : 'outbox';
+  log.info(`Mail transport: ${transport === 'smtp' ? `SMTP ${smtp.host}:${smtp.port}` : `outbox ${outboxDir}`}`);
+
+  async function send({ to, subject, text, html, headers }) {
+    const id = `${Date.now().toString(36)}.${crypto.randomBytes(6).toString('hex')}`;
+    const data = formatMessage({ from, to, subject, text, html, headers }, id);
+    if (transport === 'smtp') {
+      await smtpSend(smtp, { from: addressOf(from), to: addressOf(to) }, data);
+      log.info(`Mail sent to ${addressOf(to)}: "${oneLine(subject)}"`);
+      return { id, transport };
+    }
+    fs.mkdirSync(outboxDir, { recursive: true });
+    const file = path.join(outboxDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+    await fs.promises.writeFile(file, data, 'utf8');
+    log.info(`Mail to ${addressOf(to)} written to the outbox: ${path.basename(file)}`);
+    return { id, transport, file };
+  }
+
+  return { transport, send };
+}
+
+module.exports = { createMailer, formatMessage };
@@ -0,0 +1,348 @@
+/**
+ * lib/markdown.js — Markdown to HTML for blog posts, no dependencies.
+ *
+ * Supported:
+ *   - ATX (#) and setext (===, ---) headings, with ids for anchors
+ *   - paragraphs, hard breaks (two trailing spaces or a trailing backslash), ---, > quotes
+ *   - ordered / unordered lists, nested by indentation
+ *   - fenced code (``` or ~~~ plus a language): <pre><code class="language-x">, with
+ *     tok-keyword / tok-string / tok-comment / tok-number spans for known languages
+ *   - pipe tables with :--- / :---: / ---: alignment (class="align-left|center|right")
+ *   - footnotes: text[^note] ... [^note]: definition -> numbered section.footnotes
+ *   - inline: **strong**, *em* / _em_, ~~del~~, `code`, [text](url "title"),
+ *     ![alt](src "title"), <https://autolink>
+ *
+ * Raw HTML in the Markdown is escaped, not passed through, and link / image URLs
+ * other than http(s), mailto and relative ones are dropped.
+ *
+ * Exports:
+ *   - renderMarkdown(src) -> html
+ *   - highlight(code, lang) -> html (escaped, with token spans)
+ */
+
+const escapeHTML = (s) => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/** Only http(s), mailto and scheme-less (relative, #anchor) URLs are kept. */
+function safeUrl(url) {
+  const u = String(url).trim();
+  if (/^[a-z][\w+.-]*:/i.test(u) && !/^(https?|mailto):/i.test(u)) return null;
+  return u;
+}
+
+function slugify(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/<[^>]*>/g, '').replace(/&[a-z#0-9]+;/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+}
+
+/* ------------------------------ Highlight ----------------------------- */
+
+const KEYWORDS = {
+  js: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+  python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield',
+  bash: 'case do done elif else esac export fi for function if in local read return then until while echo exit',
+  c: 'auto bool break case char class const continue default delete do double else enum extern false float for if inline int long namespace new nullptr private protected public return short signed sizeof static struct switch template this throw true try typedef union unsigned using virtual void volatile while',
+  java: 'abstract boolean break byte case catch char class continue default do double else enum extends final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true false try void while',
+  css: '',
+  json: 'true false null'
+};
+const ALIASES = { javascript: 'js', ts: 'js', typescript: 'js', node: 'js', py: 'python', sh: 'bash', shell: 'bash', zsh: 'bash', cpp: 'c', 'c++': 'c', h: 'c', cs: 'java', csharp: 'java' };
+const HASH_COMMENTS = new Set(['python', 'bash']);
+const keywordSets = Object.fromEntries(Object.entries(KEYWORDS).map(([k, v]) => [k, new Set(v.split(' ').filter(Boolean))]));
+
+/** Escaped code with token spans; unknown languages are only escaped. */
+function highlight(code, lang) {
+  const key = ALIASES[String(lang).toLowerCase()] || String(lang).toLowerCase();
+  const words = keywordSets[key];
+  if (!words) return escapeHTML(code);
+  const comment = HASH_COMMENTS.has(key) ? '#[^\\n]*' : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  const re = new RegExp(`(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|\\b(\\d+(?:\\.\\d+)?)\\b|([A-Za-z_$][\\w$]*)`, 'g');
+  let out = '';
+  let last = 0;
+  for (const m of code.matchAll(re)) {
+    const [tok, isComment, isString, isNumber, word] = m;
+    out += escapeHTML(code.slice(last, m.index));
+    last = m.index + tok.length;
+    const cls = isComment ? 'comment' : isString ? 'string' : isNumber ? 'number' : word && words.has(word) ? 'keyword' : null;
+    out += cls ? `<span class="tok-${cls}">${escapeHTML(tok)}</span>` : escapeHTML(tok);
+  }
+  return out + escapeHTML(code.slice(last));
+}
+
+/* ------------------------------- Inline ------------------------------- */
+
+// (url "title") after a link or image; the url may hold balanced parentheses
+const TARGET = String.raw`\(\s*<?((?:[^\s()<>]|\([^\s()]*\))+)>?(?:\s+"([^"]*)")?\s*\)`;
+
+function renderInline(text, ctx) {
+  const slots = [];
+  const hold = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+
+  let s = text
+    // `code` (longest backtick run first so ``a ` b`` works)
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, _ticks, code) => hold(`<code>${escapeHTML(code.trim())}</code>`))
+    // backslash escapes
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (_, c) => hold(escapeHTML(c)))
+    // <https://autolink>
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (_, url) => hold(`<a href="${escapeHTML(url)}">${escapeHTML(url.replace(/^mailto:/i, ''))}</a>`))
+    // ![alt](src "title")
+    .replace(new RegExp(`!\\[([^\\]]*)\\]${TARGET}`, 'g'), (_, alt, src, title) => {
+      const url = safeUrl(src);
+      if (!url) return hold(escapeHTML(alt));
+      return hold(`<img src="${escapeHTML(url)}" alt="${escapeHTML(alt)}"${title ? ` title="${escapeHTML(title)}"` : ''} loading="lazy">`);
+    })
+    // [^note]
+    .replace(/\[\^([^\]\s]+)\]/g, (m, id) => (ctx.notes.has(id) ? hold(footnoteRef(id, ctx)) : m))
+    // [text](url "title")
+    .replace(new RegExp(`\\[([^\\]]+)\\]${TARGET}`, 'g'), (_, label, href, title) => {
+      const inner = renderInline(label, ctx);
+      const url = safeUrl(href);
+      if (!url) return hold(inner);
+      return hold(`<a href="${escapeHTML(url)}"${title ? ` title="${escapeHTML(title)}"` : ''}>${inner}</a>`);
+    });
+
+  s = escapeHTML(s)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+  // Slots may contain other slots (link text): restore until none are left
+  while (/\u0000\d+\u0000/.test(s)) s = s.replace(/\u0000(\d+)\u0000/g, (_, i) => slots[i]);
+  return s;
+}
+
+function footnoteRef(id, ctx) {
+  if (!ctx.noteOrder.includes(id)) ctx.noteOrder.push(id);
+  const n = ctx.noteOrder.indexOf(id) + 1;
+  const slug = escapeHTML(slugify(id));
+  const first = !ctx.noteRefs.has(id);
+  ctx.noteRefs.add(id);
+  return `<sup class="footnote-ref"><a href="#fn-${slug}"${first ? ` id="fnref-${slug}"` : ''}>${n}</a></sup>`;
+}
+
+/* ------------------------------- Blocks ------------------------------- */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)[^\n]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const HR = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(\s+|$)/;
+const TABLE_DELIM = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const splitRow = (line) => {
+  const cells = [];
+  let cur = '';
+  const s = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '\\' && s[i + 1] === '|') { cur += '|'; i++; continue; }
+    if (s[i] === '|') { cells.push(cur.trim()); cur = ''; continue; }
+    cur += s[i];
+  }
+  cells.push(cur.trim());
+  return cells;
+};
+
+function startsBlock(line, next) {
+  return FENCE.test(line) || HEADING.test(line) || HR.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) ||
+    (line.includes('|') && next !== undefined && TABLE_DELIM.test(next) && next.includes('-'));
+}
+
+function renderBlocks(lines, ctx) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    let m = FENCE.exec(line);
+    if (m) {
+      const fence = m[1];
+      const lang = m[2];
+      const body = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`).test(lines[i])) body.push(lines[i++]);
+      i++; // closing fence (or end of input)
+      const cls = lang ? ` class="language-${escapeHTML(lang.toLowerCase())}"` : '';
+      out.push(`<pre><code${cls}>${highlight(body.join('\n'), lang)}</code></pre>`);
+      continue;
+    }
+
+    m = HEADING.exec(line);
+    if (m) {
+      out.push(heading(m[1].length, m[2] || '', ctx));
+      i++;
+      continue;
+    }
+
+    if (HR.test(line)) { out.push('<hr>'); i++; continue; }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !startsBlock(lines[i], lines[i + 1]))) {
+        body.push(lines[i++].replace(QUOTE, ''));
+      }
+      out.push(`<blockquote>\n${renderBlocks(body, ctx)}\n</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      i = renderList(lines, i, ctx, out);
+      continue;
+    }
+
+    if (line.includes('|') && lines[i + 1] !== undefined && TABLE_DELIM.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      i = renderTable(lines, i, ctx, out);
+      continue;
+    }
+
+    // Paragraph (or setext heading)
+    const para = [];
+    while (i < lines.length && lines[i].trim()) {
+      if (para.length && /^ {0,3}(=+|-+)\s*$/.test(lines[i])) {
+        out.push(heading(lines[i].trim()[0] === '=' ? 1 : 2, para.join('\n'), ctx));
+        para.length = 0;
+        i++;
+        break;
+      }
+      if (para.length && startsBlock(lines[i], lines[i + 1])) break;
+      para.push(lines[i++].replace(/^ +/, ''));
+    }
+    if (para.length) out.push(`<p>${renderInline(para.join('\n').replace(/ +$/, ''), ctx)}</p>`);
+  }
+  return out.join('\n');
+}
+
+function heading(level, text, ctx) {
+  const html = renderInline(text.trim(), ctx);
+  let id = slugify(html);
+  const n = (ctx.ids.get(id) || 0) + 1;
+  ctx.ids.set(id, n);
+  if (n > 1) id += `-${n}`;
+  return `<h${level} id="${id}">${html}</h${level}>`;
+}
+
+/** Renders the list starting at lines[i]; returns the index after it. */
+function renderList(lines, i, ctx, out) {
+  const first = LIST_ITEM.exec(lines[i]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const kind = first[2].slice(-1); // bullet character, or the . / ) after a number
+  const start = ordered ? parseInt(first[2], 10) : 1;
+  const items = [];
+  let loose = false;
+
+  while (i < lines.length) {
+    const m = LIST_ITEM.exec(lines[i]);
+    if (!m || m[1].length !== indent || m[2].slice(-1) !== kind) break;
+    const contentIndent = indent + m[2].length + Math.min(m[3].length || 1, 4);
+    const body = [lines[i].slice(m[0].length)];
+    i++;
+    // Item continues with indented lines, lazy paragraph lines, and blank lines followed by indented ones
+    while (i < lines.length) {
+      const l = lines[i];
+      if (!l.trim()) {
+        const next = lines[i + 1];
+        if (next === undefined || !next.trim() || next.search(/\S/) < contentIndent) break;
+        body.push('');
+        loose = true;
+        i++;
+        continue;
+      }
+      const lead = l.search(/\S/);
+      if (lead >= contentIndent) { body.push(l.slice(contentIndent)); i++; continue; }
+      if (LIST_ITEM.test(l) || startsBlock(l, lines[i + 1]) || !body[body.length - 1].trim()) break;
+      body.push(l.trim());
+      i++;
+    }
+    items.push(body);
+    // A blank line between items makes the list loose (items keep their <p>)
+    if (i + 1 < lines.length && !lines[i]?.trim()) {
+      const next = LIST_ITEM.exec(lines[i + 1]);
+      if (next && next[1].length === indent && next[2].slice(-1) === kind) { loose = true; i++; }
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const attrs = ordered && start !== 1 ? ` start="${start}"` : '';
+  const lis = items.map((body) => {
+    let html = renderBlocks(body, ctx);
+    if (!loose) html = html.replace(/^<p>([\s\S]*?)<\/p>(?=\n|$)/, '$1');
+    return `<li>${html}</li>`;
+  });
+  out.push(`<${tag}${attrs}>\n${lis.join('\n')}\n</${tag}>`);
+  return i;
+}
+
+/** Renders the table starting at lines[i] (header row, delimiter row); returns the index after it. */
+function renderTable(lines, i, ctx, out) {
+  const head = splitRow(lines[i]);
+  const aligns = splitRow(lines[i + 1]).map((c) => {
+    const left = c.startsWith(':');
+    const right = c.endsWith(':');
+    return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+  });
+  i += 2;
+  const rows = [];
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(splitRow(lines[i++]));
+
+  const cell = (tag, text, col) => `<${tag}${aligns[col] ? ` class="align-${aligns[col]}"` : ''}>${renderInline(text, ctx)}</${tag}>`;
+  const body = rows.map(r => `<tr>${head.map((_, c) => cell('td', r[c] || '', c)).join('')}</tr>`);
+  out.push(
+    `<table>\n<thead><tr>${head.map((h, c) => cell('th', h, c)).join('')}</tr></thead>\n` +
+    (body.length ? `<tbody>\n${body.join('\n')}\n</tbody>\n` : '') + '</table>'
+  );
+  return i;
+}
+
+/* ------------------------------ Footnotes ----------------------------- */
+
+/** Pulls "[^id]: text" definitions (and their indented continuation lines) out of the source. */
+function extractFootnotes(lines) {
+  const notes = new Map();
+  const rest = [];
+  let inFence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const fence = FENCE.exec(lines[i]);
+    if (fence && !inFence) inFence = fence[1][0];
+    else if (inFence && new RegExp(`^ {0,3}${inFence}{3,}\\s*$`).test(lines[i])) inFence = null;
+    const m = !inFence && /^ {0,3}\[\^([^\]\s]+)\]:\s?(.*)$/.exec(lines[i]);
+    if (!m) { rest.push(lines[i]); continue; }
+    const body = [m[2]];
+    while (i + 1 < lines.length && (/^( {4}|\t)/.test(lines[i + 1]) || (!lines[i + 1].trim() && /^( {4}|\t)/.test(lines[i + 2] || '')))) {
+      body.push(lines[++i].replace(/^( {4}|\t)/, ''));
+    }
+    if (!notes.has(m[1])) notes.set(m[1], body);
+  }
+  return { notes, rest };
+}
+
+function renderFootnotes(ctx) {
+  if (!ctx.noteOrder.length) return '';
+  const items = [];
+  // Notes rendered inside other notes can add to noteOrder, hence the index loop
+  for (let n = 0; n < ctx.noteOrder.length; n++) {
+    const id = ctx.noteOrder[n];
+    const slug = escapeHTML(slugify(id));
+    const back = ` <a href="#fnref-${slug}" class="footnote-backref" aria-label="Back to reference ${n + 1}">↩</a>`;
+    let html = renderBlocks(ctx.notes.get(id), ctx);
+    html = /<\/p>$/.test(html) ? html.replace(/<\/p>$/, `${back}</p>`) : html + back;
+    items.push(`<li id="fn-${slug}">${html}</li>`);
+  }
+  return `\n<section class="footnotes">\n<hr>\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+}
+
+/* ------------------------------- Public ------------------------------- */
+
+function renderMarkdown(src) {
+  // NUL becomes U+FFFD (as in CommonMark): renderInline() uses it to mark its slots
+  const lines = String(src ?? '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '\uFFFD').replace(/\t/g, '    ').split('\n');
+  const { notes, rest } = extractFootnotes(lines);
+  const ctx = { notes, noteOrder: [], noteRefs: new Set(), ids: new Map() };
+  const html = renderBlocks(rest, ctx);
+  return html + renderFootnotes(ctx);
+}
+
+module.exports = { renderMarkdown, highlight };
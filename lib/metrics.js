@@ -0,0 +1,206 @@
+/**
+ * lib/metrics.js — Prometheus metrics (text exposition format 0.0.4), no dependencies.
+ *
+ * Built in:
+ *   http_requests_total{method,route,status}            counter
+ *   http_request_duration_seconds{method,route}         histogram
+ *   http_requests_in_flight                             gauge
+ *   sse_connections_active{route}                       gauge (open text/event-stream responses)
+ *   child_processes_running{kind}                       gauge (trackChild() + collectors)
+ *   scan_duration_seconds{scan,outcome}                 histogram (timeScan())
+ *   nodejs_eventloop_lag_seconds{quantile}              gauge, over the last minute
+ *   process_* / nodejs_heap_*                           gauges
+ *
+ * `route` is the Express route pattern (e.g. "/jobs/:id"), "static" for files served
+ * by express.static and "unrouted" for errors raised before any route (404, 401...),
+ * so labels stay bounded.
+ *
+ * Exports:
+ *   - createMetrics() -> { counter, gauge, histogram, middleware(), timeScan(scan),
+ *                          trackChild(child, kind), addChildCollector(fn), render(), handler }
+ */
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const SCAN_BUCKETS = [0.1, 0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+const LAG_WINDOW_MS = 60 * 1000;
+const LAG_RESOLUTION_MS = 20;
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelKey = (labels) => JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+function fmtLabels(pairs) {
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+const fmtNum = (n) => (n === Infinity ? '+Inf' : Number.isFinite(n) ? String(n) : 'NaN');
+
+function createMetrics() {
+  const registry = [];
+
+  /** Counter or gauge. `collect()` (optional) runs before each render and may set values. */
+  function scalar(type, name, help, collect) {
+    const values = new Map(); // labelKey -> { pairs, value }
+    const get = (labels = {}) => {
+      const k = labelKey(labels);
+      if (!values.has(k)) values.set(k, { pairs: JSON.parse(k), value: 0 });
+      return values.get(k);
+    };
+    const m = {
+      name, help, type,
+      inc: (labels, by = 1) => { get(labels).value += by; },
+      dec: (labels, by = 1) => { get(labels).value -= by; },
+      set: (labels, v) => { get(labels).value = v; },
+      reset: () => values.clear(),
+      render() {
+        if (collect) collect(m);
+        return [...values.values()].map(({ pairs, value }) => `${name}${fmtLabels(pairs)} ${fmtNum(value)}`);
+      }
+    };
+    registry.push(m);
+    return m;
+  }
+
+  function histogram(name, help, buckets = HTTP_BUCKETS) {
+    const series = new Map(); // labelKey -> { pairs, counts[], sum, count }
+    const m = {
+      name, help, type: 'histogram',
+      observe(labels, seconds) {
+        const k = labelKey(labels);
+        if (!series.has(k)) series.set(k, { pairs: JSON.parse(k), counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const s = series.get(k);
+        buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+        s.sum += seconds;
+        s.count++;
+      },
+      render() {
+        const lines = [];
+        for (const { pairs, counts, sum, count } of series.values()) {
+          buckets.forEach((b, i) => lines.push(`${name}_bucket${fmtLabels([...pairs, ['le', fmtNum(b)]])} ${counts[i]}`));
+          lines.push(`${name}_bucket${fmtLabels([...pairs, ['le', '+Inf']])} ${count}`);
+          lines.push(`${name}_sum${fmtLabels(pairs)} ${sum}`);
+          lines.push(`${name}_count${fmtLabels(pairs)} ${count}`);
+        }
+        return lines;
+      }
+    };
+    registry.push(m);
+    return m;
+  }
+
+  const counter = (name, help) => scalar('counter', name, help);
+  const gauge = (name, help, collect) => scalar('gauge', name, help, collect);
+
+  /* ---------------------------- Built-in set ---------------------------- */
+
+  const inflight = new Set(); // { req, res } of requests not finished yet
+  const requests = counter('http_requests_total', 'HTTP requests by route and status.');
+  const latency = histogram('http_request_duration_seconds', 'HTTP request duration in seconds.');
+  gauge('http_requests_in_flight', 'HTTP requests currently being served.', (g) => g.set({}, inflight.size));
+  gauge('sse_connections_active', 'Open Server-Sent Events streams.', (g) => {
+    g.reset();
+    for (const { req, res } of inflight) {
+      if (!res.headersSent || !String(res.getHeader('content-type') || '').startsWith('text/event-stream')) continue;
+      g.inc({ route: req.route ? `${req.baseUrl}${req.route.path}` : req.path });
+    }
+  });
+
+  const childKinds = new Map(); // kind -> running count (trackChild)
+  const childCollectors = [];   // () => { kind: count }
+  gauge('child_processes_running', 'Child processes started by the server that are still running.', (g) => {
+    g.reset();
+    for (const [kind, n] of childKinds) g.set({ kind }, n);
+    for (const fn of childCollectors) for (const [kind, n] of Object.entries(fn())) g.inc({ kind }, n);
+  });
+
+  const scans = histogram('scan_duration_seconds', 'Duration of scan / analyze requests in seconds.', SCAN_BUCKETS);
+
+  // The sampled delays include the sampling timer itself; report only the excess
+  const lag = monitorEventLoopDelay({ resolution: LAG_RESOLUTION_MS });
+  lag.enable();
+  setInterval(() => lag.reset(), LAG_WINDOW_MS).unref();
+  const lagSeconds = (ns) => Math.max(0, ns / 1e6 - LAG_RESOLUTION_MS) / 1000;
+  gauge('nodejs_eventloop_lag_seconds', 'Event-loop delay over the last minute.', (g) => {
+    for (const q of [0.5, 0.9, 0.99]) g.set({ quantile: q }, lagSeconds(lag.percentile(q * 100)));
+    g.set({ quantile: 'max' }, lagSeconds(lag.max));
+  });
+
+  gauge('process_uptime_seconds', 'Seconds since the process started.', (g) => g.set({}, Math.round(process.uptime())));
+  gauge('process_resident_memory_bytes', 'Resident set size.', (g) => g.set({}, process.memoryUsage().rss));
+  gauge('nodejs_heap_used_bytes', 'V8 heap in use.', (g) => g.set({}, process.memoryUsage().heapUsed));
+
+  /** Express middleware: counts and times every request. Mount it first. */
+  function middleware() {
+    return (req, res, next) => {
+      const started = process.hrtime.bigint();
+      const entry = { req, res };
+      inflight.add(entry);
+      let done = false;
+      const finish = () => {
+        if (done) return;
+        done = true;
+        inflight.delete(entry);
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : res.statusCode < 400 ? 'static' : 'unrouted';
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        requests.inc({ method: req.method, route, status: res.statusCode });
+        latency.observe({ method: req.method, route }, seconds);
+      };
+      res.on('finish', finish);
+      res.on('close', finish);
+      next();
+    };
+  }
+
+  /** Route middleware: observe how long this scan took (until the response ends). */
+  function timeScan(scan) {
+    return (req, res, next) => {
+      const started = process.hrtime.bigint();
+      let done = false;
+      const finish = () => {
+        if (done) return;
+        done = true;
+        const outcome = !res.writableFinished ? 'aborted' : res.statusCode < 400 ? 'ok' : 'error';
+        scans.observe({ scan, outcome }, Number(process.hrtime.bigint() - started) / 1e9);
+      };
+      res.on('finish', finish);
+      res.on('close', finish);
+      next();
+    };
+  }
+
+  /** Count a spawned process under `kind` until it exits. */
+  function trackChild(child, kind) {
+    childKinds.set(kind, (childKinds.get(kind) || 0) + 1);
+    let gone = false;
+    const exit = () => { if (!gone) { gone = true; childKinds.set(kind, childKinds.get(kind) - 1); } };
+    child.once('exit', exit);
+    child.once('error', exit);
+    return child;
+  }
+
+  function render() {
+    const out = [];
+    for (const m of registry) {
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.render());
+    }
+    return out.join('\n') + '\n';
+  }
+
+  // GET /metrics
+  const handler = (_req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(render());
+  };
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    middleware,
+    timeScan,
+    trackChild,
+    addChildCollector: (fn) => childCollectors.push(fn),
+    render,
+    handler
+  };
+}
+
+module.exports = { createMetrics };
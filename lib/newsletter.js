@@ -0,0 +1,346 @@
+/**
+ * lib/newsletter.js — Newsletter subscriptions with double opt-in, and post digests.
+ *
+ * Subscribing stores the address as `pending` and mails a confirmation link; the address
+ * becomes `confirmed` only when that link is opened. Every digest carries a one-click
+ * unsubscribe link (also in List-Unsubscribe, RFC 8058). Mail goes through lib/mailer.js,
+ * i.e. to the file outbox until SMTP is configured.
+ *
+ * Links carry a signed token, <base64url(email)>.<expiry, base 36; 0 = none>.<HMAC-SHA256 of
+ * action + email + expiry> keyed with config.newsletter.secret, so nothing needs to be stored
+ * per link. Confirm links expire after confirmTtlHours; unsubscribe links do not.
+ *
+ * The subscriber list never reveals whether an address is known: subscribe always answers
+ * the same, and a pending address is sent at most one confirmation per RESEND_MS.
+ *
+ * Store (config.newsletter.file): { subscribers: [{ email, status, createdAt, confirmedAt?,
+ *   unsubscribedAt?, confirmSentAt?, ip? }], digests: [{ sentAt, subject, postIds, recipients, failed }] }
+ *   status: pending | confirmed | unsubscribed
+ *
+ * A digest lists the published posts (isPublished, lib/posts.js) that went out after the
+ * last digest (at most digestMaxPosts); admin_newsletter.html previews, edits and sends it.
+ *
+ * Routes:
+ *   POST /api/newsletter/subscribe { email }     -> 202 { ok, status: 'pending' }  (HTML page for a plain form post)
+ *   GET  /api/newsletter/confirm?token=          -> HTML page
+ *   GET  /api/newsletter/unsubscribe?token=      -> HTML page with a confirm button (mail scanners open links)
+ *   POST /api/newsletter/unsubscribe?token=      -> HTML page (also RFC 8058 one-click)
+ *   GET  /admin/newsletter/subscribers?status=   -> { subscribers, counts }
+ *   GET  /admin/newsletter/subscribers.csv       -> text/csv download
+ *   GET  /admin/newsletter/digest                -> { since, posts, subject, text, recipients }  (draft)
+ *   POST /admin/newsletter/digest { subject?, intro?, postIds? } -> { sent, failed, recipients }
+ *
+ * Exports:
+ *   - createNewsletter({ config, log, posts, mailer }) -> { subscribe, confirm, unsubscribe, subscribers, csv, digestDraft, sendDigest }
+ *   - newsletterRoutes(newsletter, { config, log }) -> { subscribe, confirm, unsubscribe, subscribers, csv, digest, sendDigest }
+ *   - NewsletterError
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isPublished } = require('./posts');
+
+const STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+const EMAIL_RE = /^[^\s@]{1,64}@[^\s@]+\.[^\s@]{2,}$/;
+const RESEND_MS = 10 * 60 * 1000;
+
+class NewsletterError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'NewsletterError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const escapeHTML = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+// Spreadsheet-safe CSV cell: quoted, and formulas (=, +, -, @) neutralised
+const csvCell = (v) => {
+  const s = String(v ?? '');
+  return `"${(/^[=+\-@\t\r]/.test(s) ? `'${s}` : s).replace(/"/g, '""')}"`;
+};
+
+function createNewsletter({ config, log, posts, mailer }) {
+  const opts = config.newsletter;
+  const site = config.site;
+
+  const secret = opts.secret || crypto.randomBytes(32).toString('hex');
+  if (!opts.secret) log.warn('newsletter.secret not set: using a random key, confirm / unsubscribe links stop working on restart');
+  const sign = (action, email, expires) => crypto.createHmac('sha256', secret).update(`newsletter:${action}:${email}:${expires}`).digest('base64url');
+
+  function token(action, email, ttlMs = 0) {
+    const expires = ttlMs ? Date.now() + ttlMs : 0;
+    return `${Buffer.from(email, 'utf8').toString('base64url')}.${expires.toString(36)}.${sign(action, email, expires)}`;
+  }
+
+  /** The email a valid token was issued for, else a 400. */
+  function verify(action, tok) {
+    const m = /^([\w-]+)\.([0-9a-z]+)\.([\w-]+)$/.exec(typeof tok === 'string' ? tok : '');
+    const bad = new NewsletterError('invalid_token', 'This link is invalid or has expired.');
+    if (!m) throw bad;
+    const email = Buffer.from(m[1], 'base64url').toString('utf8');
+    const expires = parseInt(m[2], 36);
+    if (expires && expires < Date.now()) throw bad;
+    const want = Buffer.from(sign(action, email, expires));
+    const got = Buffer.from(m[3]);
+    if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) throw bad;
+    return email;
+  }
+
+  function read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(opts.file, 'utf8'));
+      return { subscribers: data.subscribers || [], digests: data.digests || [] };
+    } catch (e) {
+      if (e.code === 'ENOENT') return { subscribers: [], digests: [] };
+      throw e;
+    }
+  }
+
+  function write(data) {
+    fs.mkdirSync(path.dirname(opts.file), { recursive: true });
+    const tmp = `${opts.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, opts.file);
+  }
+
+  /** Read, change one subscriber (created when missing), write. */
+  function update(email, change) {
+    const data = read();
+    let sub = data.subscribers.find(s => s.email === email);
+    if (!sub) data.subscribers.push(sub = { email, status: 'pending', createdAt: new Date().toISOString() });
+    const result = change(sub);
+    write(data);
+    return result;
+  }
+
+  const link = (base, route, tok) => `${base}/api/newsletter/${route}?token=${encodeURIComponent(tok)}`;
+  const publishedAt = (p) => Date.parse(p.publishAt) || Date.parse(p.date) || 0;
+
+  function unsubscribeFooter(base, email) {
+    const url = link(base, 'unsubscribe', token('unsubscribe', email));
+    return {
+      url,
+      text: `\n--\nYou receive this because you subscribed to ${site.title}.\nUnsubscribe: ${url}\n`,
+      html: `<hr><p style="font-size:12px;color:#666">You receive this because you subscribed to ${escapeHTML(site.title)}. <a href="${escapeHTML(url)}">Unsubscribe</a></p>`
+    };
+  }
+
+  let sending = false;
+
+  return {
+    /** Records a pending subscription and mails the confirmation link (at most one per RESEND_MS). */
+    async subscribe(input, { base, ip } = {}) {
+      const email = typeof input === 'string' ? input.trim().toLowerCase() : '';
+      if (!EMAIL_RE.test(email) || email.length > 254) throw new NewsletterError('invalid_email', 'Please enter a valid email address.');
+      const now = Date.now();
+      const send = update(email, (sub) => {
+        if (sub.status === 'confirmed') return false;
+        if (sub.status === 'pending' && sub.confirmSentAt && now - Date.parse(sub.confirmSentAt) < RESEND_MS) return false;
+        Object.assign(sub, { status: 'pending', confirmSentAt: new Date(now).toISOString(), ip: ip ?? null });
+        delete sub.unsubscribedAt;
+        return true;
+      });
+      if (!send) return { status: 'pending' };
+      const url = link(base, 'confirm', token('confirm', email, opts.confirmTtlHours * 3600 * 1000));
+      await mailer.send({
+        to: email,
+        subject: `Confirm your subscription to ${site.title}`,
+        text: `Hello,\n\nPlease confirm that you want to receive new posts from ${site.title}:\n\n${url}\n\n` +
+          `This link is valid for ${opts.confirmTtlHours} hours. If you did not ask for this, ignore this message: nothing will be sent to you.\n`,
+        html: `<p>Hello,</p><p>Please confirm that you want to receive new posts from ${escapeHTML(site.title)}:</p>` +
+          `<p><a href="${escapeHTML(url)}">Confirm my subscription</a></p>` +
+          `<p style="font-size:12px;color:#666">This link is valid for ${opts.confirmTtlHours} hours. If you did not ask for this, ignore this message: nothing will be sent to you.</p>`
+      });
+      log.info(`Newsletter: confirmation sent to ${email}`);
+      return { status: 'pending' };
+    },
+    confirm(tok) {
+      const email = verify('confirm', tok);
+      return update(email, (sub) => {
+        if (sub.status !== 'confirmed') {
+          Object.assign(sub, { status: 'confirmed', confirmedAt: new Date().toISOString() });
+          delete sub.unsubscribedAt;
+          log.info(`Newsletter: ${email} confirmed`);
+        }
+        return { email };
+      });
+    },
+    unsubscribe(tok) {
+      const email = verify('unsubscribe', tok);
+      const known = read().subscribers.some(s => s.email === email);
+      if (!known) return { email };
+      return update(email, (sub) => {
+        if (sub.status !== 'unsubscribed') {
+          Object.assign(sub, { status: 'unsubscribed', unsubscribedAt: new Date().toISOString() });
+          log.info(`Newsletter: ${email} unsubscribed`);
+        }
+        return { email };
+      });
+    },
+    /** Newest first; status: one of STATUSES or 'all'. */
+    subscribers(status = 'all') {
+      if (status !== 'all' && !STATUSES.includes(status)) throw new NewsletterError('invalid_status', `status must be all or one of ${STATUSES.join(', ')}.`);
+      const all = read().subscribers;
+      const counts = Object.fromEntries(STATUSES.map(s => [s, all.filter(x => x.status === s).length]));
+      const list = all.filter(s => status === 'all' || s.status === status)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+        .map(({ confirmSentAt, ...s }) => s);
+      return { subscribers: list, counts };
+    },
+    csv() {
+      const cols = ['email', 'status', 'createdAt', 'confirmedAt', 'unsubscribedAt'];
+      const rows = read().subscribers.map(s => cols.map(c => csvCell(s[c])).join(','));
+      return [cols.join(','), ...rows].join('\r\n') + '\r\n';
+    },
+    /** Posts published since the last digest, and a default subject / text to edit. */
+    digestDraft(base) {
+      const { subscribers, digests } = read();
+      const last = digests[digests.length - 1] || null;
+      const since = last ? Date.parse(last.sentAt) : 0;
+      const now = Date.now();
+      const list = posts.read().posts
+        .filter(p => isPublished(p, now) && publishedAt(p) > since)
+        .sort((a, b) => publishedAt(b) - publishedAt(a))
+        .slice(0, opts.digestMaxPosts)
+        .map(p => ({ id: p.id, title: p.title, excerpt: p.excerpt || '', date: p.date, url: `${base}/${config.build.outDir}/${encodeURIComponent(p.slug)}` }));
+      return {
+        since: last ? last.sentAt : null,
+        lastSubject: last ? last.subject : null,
+        posts: list,
+        subject: `${site.title}: ${list.length} new post${list.length === 1 ? '' : 's'}`,
+        recipients: subscribers.filter(s => s.status === 'confirmed').length
+      };
+    },
+    /** Mails the digest to every confirmed subscriber, one message each (own unsubscribe link). */
+    async sendDigest({ subject, intro = '', postIds } = {}, base) {
+      if (sending) throw new NewsletterError('digest_in_progress', 'A digest is already being sent.', 409);
+      const draft = this.digestDraft(base);
+      const chosen = Array.isArray(postIds) ? draft.posts.filter(p => postIds.map(String).includes(String(p.id))) : draft.posts;
+      if (!chosen.length) throw new NewsletterError('digest_empty', 'No new posts to send.', 409);
+      subject = typeof subject === 'string' && subject.trim() ? subject.trim().slice(0, 200) : draft.subject;
+      intro = typeof intro === 'string' ? intro.trim().slice(0, 5000) : '';
+      const text = (intro ? `${intro}\n\n` : '') + chosen.map(p => `${p.title}\n${p.url}\n${p.excerpt}`.trim()).join('\n\n') + '\n';
+      const html = (intro ? intro.split(/\n{2,}/).map(par => `<p>${escapeHTML(par).replace(/\n/g, '<br>')}</p>`).join('') : '') +
+        chosen.map(p => `<h2 style="font-size:18px;margin:18px 0 4px"><a href="${escapeHTML(p.url)}">${escapeHTML(p.title)}</a></h2><p>${escapeHTML(p.excerpt)}</p>`).join('');
+      const recipients = read().subscribers.filter(s => s.status === 'confirmed').map(s => s.email);
+      sending = true;
+      let sent = 0;
+      const failed = [];
+      try {
+        for (const email of recipients) {
+          const footer = unsubscribeFooter(base, email);
+          try {
+            await mailer.send({
+              to: email, subject, text: text + footer.text, html: html + footer.html,
+              headers: { 'List-Unsubscribe': `<${footer.url}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+            });
+            sent++;
+          } catch (e) {
+            failed.push(email);
+            log.error(`Newsletter: digest to ${email} failed: ${e.message}`);
+          }
+        }
+      } finally {
+        sending = false;
+      }
+      const data = read();
+      data.digests.push({ sentAt: new Date().toISOString(), subject, postIds: chosen.map(p => p.id), recipients: recipients.length, failed: failed.length });
+      write(data);
+      log.info(`Newsletter: digest "${subject}" sent to ${sent}/${recipients.length} subscriber(s)`);
+      return { sent, failed, recipients: recipients.length, postIds: chosen.map(p => p.id) };
+    }
+  };
+}
+
+/* ------------------------------- Routes ------------------------------- */
+
+function newsletterRoutes(newsletter, { config, log }) {
+  const baseOf = (req) => (config.site.baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+  // Small standalone page for links opened from a mail and for form posts without JS
+  const page = (res, status, title, body) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+    res.status(status).type('html').send(`<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHTML(title)} — ${escapeHTML(config.site.title)}</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+    <main class="container prose">
+        <h1>${escapeHTML(title)}</h1>
+        ${body}
+        <p><a href="/blog.html">Back to the blog</a></p>
+    </main>
+</body>
+</html>
+`);
+  };
+
+  const fail = (req, res, e, html) => {
+    if (!(e instanceof NewsletterError)) {
+      (req.log || log).error(`Newsletter: ${e.message}`);
+      e = new NewsletterError('newsletter_failed', 'Something went wrong; please try again later.', 500);
+    }
+    if (html) return page(res, e.status, 'Newsletter', `<p>${escapeHTML(e.message)}</p>`);
+    res.status(e.status).json({ ok: false, error: e.code, detail: e.message });
+  };
+  const handle = (fn, html = () => false) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      fail(req, res, e, html(req));
+    }
+  };
+  const isForm = (req) => !req.is('application/json');
+
+  return {
+    // POST /api/newsletter/subscribe (fetch from blog_render_posts.js, or the footer form itself)
+    subscribe: handle(async (req, res) => {
+      await newsletter.subscribe(req.body?.email, { base: baseOf(req), ip: req.ip });
+      if (isForm(req)) return page(res, 202, 'Almost there', '<p>Check your inbox: we sent you a link to confirm your subscription.</p>');
+      res.status(202).json({ ok: true, status: 'pending' });
+    }, isForm),
+    // GET /api/newsletter/confirm?token=
+    confirm: handle((req, res) => {
+      const { email } = newsletter.confirm(req.query.token);
+      page(res, 200, 'Subscription confirmed', `<p><strong>${escapeHTML(email)}</strong> will receive new posts. Each mail has an unsubscribe link.</p>`);
+    }, () => true),
+    // GET + POST /api/newsletter/unsubscribe?token=
+    unsubscribe: handle((req, res) => {
+      if (req.method === 'GET') {
+        // A button, not an unsubscribe on GET: link scanners in mail clients open every link
+        return page(res, 200, 'Unsubscribe', `<form method="post" action="/api/newsletter/unsubscribe?token=${escapeHTML(encodeURIComponent(req.query.token || ''))}">` +
+          '<p>Stop receiving new posts by mail?</p><p><button type="submit">Unsubscribe</button></p></form>');
+      }
+      const { email } = newsletter.unsubscribe(req.query.token);
+      page(res, 200, 'Unsubscribed', `<p><strong>${escapeHTML(email)}</strong> will not receive any more mail from us.</p>`);
+    }, () => true),
+    // GET /admin/newsletter/subscribers?status=
+    subscribers: handle((req, res) => {
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({ ok: true, ...newsletter.subscribers(req.query.status || 'all') });
+    }),
+    // GET /admin/newsletter/subscribers.csv
+    csv: handle((req, res) => {
+      res.setHeader('Cache-Control', 'no-store');
+      res.attachment(`newsletter-subscribers-${new Date().toISOString().slice(0, 10)}.csv`);
+      res.type('text/csv; charset=utf-8').send('\uFEFF' + newsletter.csv());
+    }),
+    // GET /admin/newsletter/digest
+    digest: handle((req, res) => {
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({ ok: true, ...newsletter.digestDraft(baseOf(req)) });
+    }),
+    // POST /admin/newsletter/digest
+    sendDigest: handle(async (req, res) => {
+      res.json({ ok: true, ...(await newsletter.sendDigest(req.body || {}, baseOf(req))) });
+    })
+  };
+}
+
+module.exports = { createNewsletter, newsletterRoutes, NewsletterError };
@@ -0,0 +1,130 @@
+/**
+ * lib/post_check.js — Checks the whole posts file (config.posts.file) against the post schema.
+ *
+ * The store (lib/posts.js) checks one post at a time on save; posts.json is also edited by
+ * hand, so this checks every entry and the rules that span entries:
+ *   - each entry passes validatePost(): required fields, types, YYYY-MM-DD dates, status...
+ *   - ids are present, numbers (not "4") and unique; slugs and former slugs are unique
+ *   - at most one post is featured
+ *   - a local cover is a file of the site (coverFile)
+ *   - wordCount and readingTime match the body, translations' too (readingStats, config.posts.wordsPerMinute)
+ *
+ * A problem names the entry (its index in the array, and its id) and the field. Problems the
+ * store can settle by itself (string ids, missing slugs, stale wordCount / readingTime) are
+ * `fixable`: --fix rewrites the file through the store (backup, atomic write).
+ *
+ * Exports:
+ *   - checkPosts(posts, { rootDir, wordsPerMinute }) -> [{ entry, id, field, message, fixable }]
+ *   - formatProblem(problem) -> "[3] id 4, readingTime: ..."
+ *
+ * CLI:
+ *   npm run check:posts [-- --fix] [--json]     (node lib/post_check.js; exit code 1 while problems remain)
+ */
+const fs = require('fs');
+const path = require('path');
+const { validatePost, readingStats, coverFile } = require('./posts');
+
+function checkPosts(posts, { rootDir, wordsPerMinute }) {
+  const problems = [];
+  if (!Array.isArray(posts)) return [{ entry: null, id: null, field: null, message: 'the file must hold an array of posts', fixable: false }];
+
+  const ids = new Map();
+  const slugs = new Map();
+  let featured = null;
+
+  posts.forEach((p, entry) => {
+    const id = p && typeof p === 'object' ? p.id ?? null : null;
+    const report = (field, message, fixable = false) => problems.push({ entry, id, field, message, fixable });
+    if (!p || typeof p !== 'object' || Array.isArray(p)) return report(null, 'must be an object');
+
+    const { errors = [] } = validatePost(p);
+    for (const e of errors) {
+      const at = e.indexOf(': ');
+      report(e.slice(0, at), e.slice(at + 2));
+    }
+
+    if (id === null || id === '') report('id', 'required');
+    else {
+      if (typeof id === 'string' && /^\d+$/.test(id.trim())) report('id', `is the string "${id}"; ids are numbers`, true);
+      const key = String(id).trim();
+      if (ids.has(key)) report('id', `same id as entry [${ids.get(key)}]`);
+      else ids.set(key, entry);
+    }
+
+    if (!p.slug) report('slug', 'missing (made from the title)', true);
+    for (const slug of [p.slug, ...(Array.isArray(p.previousSlugs) ? p.previousSlugs : [])]) {
+      if (typeof slug !== 'string' || !slug) continue;
+      const field = slug === p.slug ? 'slug' : 'previousSlugs';
+      if (slugs.has(slug) && slugs.get(slug) !== entry) report(field, `"${slug}" is also used by entry [${slugs.get(slug)}]`);
+      else slugs.set(slug, entry);
+    }
+
+    if (p.featured === true) {
+      if (featured === null) featured = entry;
+      else report('featured', `entry [${featured}] is already featured; only one post may be`);
+    }
+
+    const local = typeof p.cover === 'string' && p.cover ? coverFile(p.cover, rootDir) : null;
+    if (local && !(local.startsWith(rootDir + path.sep) && fs.existsSync(local))) report('cover', `no file ${p.cover} in the site`);
+
+    const measured = (o, prefix) => {
+      if (!o || typeof o.html !== 'string') return;
+      const stats = readingStats(o.html, wordsPerMinute);
+      for (const key of ['wordCount', 'readingTime']) {
+        const field = prefix + key;
+        if (o[key] === undefined || o[key] === '') report(field, `missing (the body gives ${JSON.stringify(stats[key])})`, true);
+        else if (o[key] !== stats[key]) report(field, `is ${JSON.stringify(o[key])}, the body gives ${JSON.stringify(stats[key])}`, true);
+      }
+    };
+    measured(p, '');
+    if (p.translations && typeof p.translations === 'object') {
+      for (const [locale, tr] of Object.entries(p.translations)) measured(tr, `translations.${locale}.`);
+    }
+  });
+  return problems;
+}
+
+function formatProblem(p) {
+  const where = p.entry === null ? '(file)' : `[${p.entry}]` + (p.id !== null ? ` id ${p.id}` : '');
+  return `${where}${p.field ? `, ${p.field}` : ''}: ${p.message}${p.fixable ? '  (--fix)' : ''}`;
+}
+
+if (require.main === module) {
+  const { loadConfig } = require('./config');
+  const argv = process.argv.slice(2);
+  try {
+    const config = loadConfig();
+    const opts = { rootDir: config.meta.rootDir, wordsPerMinute: config.posts.wordsPerMinute };
+    const name = path.relative(process.cwd(), config.posts.file) || config.posts.file;
+    const check = () => {
+      let posts;
+      try {
+        posts = JSON.parse(fs.readFileSync(config.posts.file, 'utf8').replace(/^\uFEFF/, ''));
+      } catch (e) {
+        throw new Error(`${name}: ${e.code === 'ENOENT' ? 'no such file' : `not valid JSON: ${e.message}`}`);
+      }
+      return checkPosts(posts, opts);
+    };
+
+    let problems = check();
+    if (argv.includes('--fix') && problems.some(p => p.fixable)) {
+      const { createPostStore } = require('./posts');
+      const log = { info: (m) => console.log(m), warn: (m) => console.warn(m), error: (m) => console.error(m) };
+      const store = createPostStore({ config, log });
+      store.refresh(store.read().version);
+      console.log(`${name}: fixed ${problems.filter(p => p.fixable).length} problem(s)`);
+      problems = check();
+    }
+    if (argv.includes('--json')) console.log(JSON.stringify(problems, null, 2));
+    else {
+      for (const p of problems) console.log(`${name}${formatProblem(p)}`);
+      console.log(problems.length ? `${name}: ${problems.length} problem(s)` : `${name}: OK`);
+    }
+    if (problems.length) process.exitCode = 1;
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { checkPosts, formatProblem };
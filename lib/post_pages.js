@@ -0,0 +1,160 @@
+/**
+ * lib/post_pages.js — Public views of the blog posts: pages at /posts/<slug>, the
+ * posts.json the blog pages load, and signed preview links for unpublished posts.
+ *
+ * Each page is post.html's layout with the post already in place, rendered by
+ * lib/static_build.js (same markup, meta tags and JSON-LD as `npm run build`), so the
+ * dynamic and the statically built pages are interchangeable. ?lang=<xx> shows a post's
+ * translation (lib/posts.js localize), with hreflang links to its other languages.
+ *
+ * Only isPublished() posts (lib/posts.js) are public: the others answer 404, and the
+ * posts.json URL serves the published subset, whatever its spelling (%70osts.json,
+ * POSTS.JSON: matched on the decoded path, as static serving sees it). An admin gets a preview link
+ * (/posts/<slug>?preview=<expiry>.<HMAC of id + expiry>, config.posts.previewSecret)
+ * that shows a draft, scheduled or archived post until it expires (previewTtlHours).
+ *
+ * Old URLs keep working:
+ *   - /posts/<previous slug>  -> 301 /posts/<slug>   (slug history, lib/posts.js)
+ *   - /post.html?id=<id>      -> 301 /posts/<slug>   (post.html without ?id= is served as before)
+ *
+ * Routes (the /posts prefix is config.build.outDir):
+ *   GET  /posts/:slug[?preview=][&lang=]
+ *   GET  /post.html?id=
+ *   GET  /assets/posts/posts.json            (config.posts.file's URL) published posts only
+ *   POST /api/posts/:id/preview-link         -> { url, expiresAt }   (admin, lib/rbac.js)
+ *
+ * Exports:
+ *   - createPostPages({ config, log, posts }) -> { page, legacy, publicList, previewLink }
+ *       publicList: middleware ahead of the static handlers, answering for the posts file only
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { renderPostPage, alternatesOf } = require('./static_build');
+const { isPublished, localize } = require('./posts');
+const { staticPath } = require('./auth');
+
+function createPostPages({ config, log, posts }) {
+  const site = config.site;
+  const prefix = `/${config.build.outDir}`;
+  const depth = config.build.outDir.split('/').length;
+  const templateFile = path.join(config.meta.rootDir, 'post.html');
+
+  const baseOf = (req) => (site.baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  // Keep the query string (utm_*, ...) across redirects
+  const queryOf = (req, drop = []) => {
+    const params = new URLSearchParams(req.query);
+    for (const k of drop) params.delete(k);
+    const q = params.toString();
+    return q ? `?${q}` : '';
+  };
+  const urlOf = (post) => `${prefix}/${encodeURIComponent(post.slug)}`;
+
+  /* --------------------------- Preview links --------------------------- */
+
+  const secret = config.posts.previewSecret || crypto.randomBytes(32).toString('hex');
+  if (!config.posts.previewSecret) log.warn('posts.previewSecret not set: using a random key, preview links stop working on restart');
+  const sign = (id, expires) => crypto.createHmac('sha256', secret).update(`preview:${id}:${expires}`).digest('base64url');
+
+  function previewToken(post) {
+    const expires = Date.now() + config.posts.previewTtlHours * 3600 * 1000;
+    return { token: `${expires.toString(36)}.${sign(post.id, expires)}`, expiresAt: new Date(expires).toISOString() };
+  }
+
+  function validPreview(post, token) {
+    const m = /^([0-9a-z]+)\.([\w-]+)$/.exec(typeof token === 'string' ? token : '');
+    if (!m) return false;
+    const expires = parseInt(m[1], 36);
+    if (!(expires > Date.now())) return false;
+    const want = Buffer.from(sign(post.id, expires));
+    const got = Buffer.from(m[2]);
+    return got.length === want.length && crypto.timingSafeEqual(got, want);
+  }
+
+  function notFound(res) {
+    res.status(404).type('html').send('<!doctype html><meta charset="utf-8"><title>Post not found</title>' +
+      `<p>Post not found. <a href="${'../'.repeat(depth)}blog.html">All posts</a></p>`);
+  }
+
+  // GET /posts/:slug
+  function page(req, res, next) {
+    const slug = String(req.params.slug).replace(/\.html$/i, '').toLowerCase();
+    let found;
+    try {
+      found = posts.bySlug(slug);
+    } catch (e) {
+      return next(e);
+    }
+    if (!found) return notFound(res);
+    const preview = !isPublished(found.post);
+    if (preview && !validPreview(found.post, req.query.preview)) return notFound(res);
+    if (found.moved || req.params.slug !== found.post.slug) {
+      return res.redirect(301, urlOf(found.post) + queryOf(req));
+    }
+    const template = fs.readFileSync(templateFile, 'utf8').replace(/^\uFEFF/, '');
+    // ?lang=<xx>: the translation, when the post has one (else its own language)
+    const alternates = alternatesOf(found.post, `${baseOf(req)}${urlOf(found.post)}`, site.language);
+    const view = localize(found.post, String(req.query.lang || ''), site.language);
+    const pageUrl = alternates.find(a => a.lang === view.lang).href;
+    if (preview) {
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.setHeader('X-Robots-Tag', 'noindex');
+    } else {
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+    res.type('html').send(renderPostPage(view, { template, site, pageUrl, depth, preview, alternates }));
+  }
+
+  // GET /post.html?id= (links from before slugs)
+  function legacy(req, res, next) {
+    const id = req.query.id;
+    if (typeof id !== 'string' || !id) return next();
+    let post;
+    try {
+      post = posts.read().posts.find(p => String(p.id) === id.trim() && isPublished(p));
+    } catch (e) {
+      return next(e);
+    }
+    if (!post) return next(); // post.html shows its own "Post not found."
+    res.redirect(301, urlOf(post) + queryOf(req, ['id']));
+  }
+
+  /* ----------------------------- posts.json ----------------------------- */
+
+  // URL of config.posts.file when it lives under the site root (null otherwise: not served)
+  const rel = path.relative(config.meta.rootDir, config.posts.file);
+  const publicFile = rel.startsWith('..') || path.isAbsolute(rel) ? null : rel.split(path.sep).join('/').toLowerCase();
+
+  // GET /assets/posts/posts.json: what the blog pages list, without unpublished posts.
+  // Any request that static serving would answer with the file lands here, never on the raw file.
+  function publicList(req, res, next) {
+    if (!publicFile || staticPath(req.path) !== publicFile) return next();
+    if (req.method !== 'GET' && req.method !== 'HEAD') return res.set('Allow', 'GET, HEAD').sendStatus(405);
+    let all;
+    try {
+      all = posts.read().posts;
+    } catch (e) {
+      return next(e);
+    }
+    const now = Date.now();
+    res.setHeader('Cache-Control', 'no-cache');
+    res.json(all.filter(p => isPublished(p, now)));
+  }
+
+  // POST /api/posts/:id/preview-link
+  function previewLink(req, res) {
+    let post;
+    try {
+      post = posts.get(req.params.id).post;
+    } catch (e) {
+      return res.status(e.status || 500).json({ ok: false, error: e.code || 'preview_failed', detail: e.message });
+    }
+    const { token, expiresAt } = previewToken(post);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok: true, url: `${baseOf(req)}${urlOf(post)}?preview=${token}`, expiresAt });
+  }
+
+  return { page, legacy, publicList, previewLink };
+}
+
+module.exports = { createPostPages };
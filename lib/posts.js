@@ -0,0 +1,690 @@
+/**
+ * lib/posts.js — Blog posts store (assets/posts/posts.json) and the /api/posts routes.
+ *
+ * The file stays a plain JSON array, in display order, so the static blog pages keep
+ * reading it directly. Writes go to a temp file that is renamed over the original,
+ * after copying the previous version to config.posts.backupDir.
+ *
+ * A post may carry a `markdown` body instead of hand-written `html`: on save the
+ * server renders it (lib/markdown.js) into `html`, which is what the blog pages show.
+ * `html` then goes through the allowlist sanitizer (js/sanitize_html.js, also run by
+ * the blog pages at render time) and `cover` must be a safe URL; what was stripped
+ * is returned as `sanitized: [...]` so the editor can show it. A local `cover` must be a
+ * file of the site. `wordCount` and `readingTime` are computed from the body on each save
+ * (config.posts.wordsPerMinute); lib/post_check.js checks the whole file against the same rules.
+ *
+ * Every post has a unique `slug` (its URL: /posts/<slug>, lib/post_pages.js), made from
+ * the title with accents folded unless the editor picks one. Slugs stay put when the
+ * title changes; when the slug itself changes the old one moves to `previousSlugs`,
+ * and old URLs redirect to the new one.
+ *
+ * A post is written in `lang` (en | fr, LOCALES; absent: config.site.language), which is also
+ * its fallback; `translations` holds the title, excerpt and body in the other language(s),
+ * rendered, sanitized and measured like the post's own. localize() picks the one to show.
+ *
+ * `status` is draft | scheduled | published | archived (absent: published), with an
+ * optional `publishAt` time; only isPublished() posts are public (lib/post_pages.js).
+ *
+ * Every create / update / restore is also kept as a revision (lib/revisions.js) with the
+ * time and the author (req.principal); a revision can be restored, which saves it again.
+ *
+ * At most one post is featured: saving a second one is refused with 409 featured_taken and
+ * the featured post's id (featuredId), so the editor can say which one to unfeature.
+ *
+ * Concurrency: the whole collection has one version (a hash of the file), sent as
+ * the ETag. Every write must carry it in If-Match; if the file changed since, the
+ * write is refused with 412 and the current version, so the editor can reload.
+ *
+ * Routes (mounted at /api/posts by server.js):
+ *   GET    /api/posts               -> { version, posts }
+ *   GET    /api/posts/:id           -> { version, post }
+ *   POST   /api/posts               -> 201 { version, post, sanitized } (id optional: next free id)
+ *   PUT    /api/posts/order { ids } -> { version, posts }         (ids: every id, new order)
+ *   PUT    /api/posts/:id           -> { version, post, sanitized } (whole post; id may change)
+ *   DELETE /api/posts/:id           -> { version }
+ *   GET    /api/posts/:id/revisions -> { revisions: [{ rev, at, author, action, restoredFrom?, title }] } newest first
+ *   GET    /api/posts/:id/revisions/:rev          -> { revision }   (with the full post)
+ *   POST   /api/posts/:id/revisions/:rev/restore  -> { version, post, sanitized } (If-Match)
+ *   POST   /api/posts/preview { markdown } -> { html, sanitized } (editor live preview; nothing saved)
+ *
+ * Exports:
+ *   - createPostStore({ config, log, revisions? }) -> { read(), list(), get(id), bySlug(slug), create(input, version, meta),
+ *                                          update(id, input, version, meta), remove(id, version), reorder(ids, version),
+ *                                          revisions(id), revision(id, rev), restore(id, rev, version, meta), refresh(version) }
+ *     (meta: { author }; revisions: lib/revisions.js store, history is off without it)
+ *   - postRoutes(store) -> express.Router
+ *   - validatePost(input) -> { post } | { error }
+ *   - isPublished(post, now?) -> boolean (what public pages, feeds, search and the sitemap show)
+ *   - localize(post, locale, defaultLang) -> the post in `locale` when translated, else as is (+ lang, languages)
+ *   - slugify(title) -> slug; withSlugs(posts) -> posts (missing slugs filled in, in place)
+ *   - readingStats(html, wordsPerMinute) -> { wordCount, readingTime }; coverFile(cover, rootDir) -> path | null
+ *   - PostsError (err.code, err.status)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { renderMarkdown } = require('./markdown');
+const { foldText } = require('./search');
+const { sanitizeHTML, sanitizeURL } = require('../js/sanitize_html');
+
+class PostsError extends Error {
+  constructor(code, message, status = 400, extra = {}) {
+    super(message);
+    this.name = 'PostsError';
+    this.code = code;
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+const isDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s)) && new Date(s).toISOString().startsWith(s);
+
+// name -> { required (boolean, or a function of the input), check(value) -> normalized value (throws with the reason otherwise) }
+const bad = (reason) => { throw new TypeError(reason); };
+const text = (max) => (v) => {
+  if (typeof v !== 'string') bad('must be a string');
+  if (v.length > max) bad(`must be at most ${max} characters`);
+  return v.trim();
+};
+const wholeNumber = (v) => {
+  if (!Number.isSafeInteger(v) || v < 0) bad('must be a whole number');
+  return v;
+};
+const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+// Languages a post can be written in (js/blog_render_posts.js LOCALES)
+const LOCALES = ['en', 'fr'];
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const slugCheck = (v) => {
+  if (typeof v !== 'string' || !SLUG_RE.test(v.trim()) || v.length > 100) bad('must be lowercase letters, digits and single dashes (e.g. "my-post"), at most 100 characters');
+  return v.trim();
+};
+
+/** "L'Éthique du nucléaire : 2ᵉ partie" -> "l-ethique-du-nucleaire-2e-partie" */
+function slugify(title) {
+  const slug = foldText(String(title ?? '').normalize('NFKC'))
+    .replace(/['’]s\b/g, 's') // English possessive: "euler's" -> "eulers" (French elisions still split: "l-ethique")
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (slug.length <= 90) return slug || 'post';
+  const cut = slug.slice(0, 91);
+  return cut.slice(0, cut.lastIndexOf('-') > 45 ? cut.lastIndexOf('-') : 90).replace(/-+$/, '');
+}
+
+/** True when `slug` is the current or a previous slug of a post other than `except`. */
+const slugTaken = (posts, slug, except) =>
+  posts.some(p => p !== except && (p.slug === slug || (Array.isArray(p.previousSlugs) && p.previousSlugs.includes(slug))));
+
+/** `base`, or `base-2`, `base-3`... whichever no other post uses. */
+function uniqueSlug(posts, base, except) {
+  let slug = base;
+  for (let n = 2; slugTaken(posts, slug, except); n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+/** Gives every post without a valid slug one from its title (in place); returns posts. */
+function withSlugs(posts) {
+  for (const p of posts) {
+    if (p && typeof p === 'object' && !(typeof p.slug === 'string' && SLUG_RE.test(p.slug))) {
+      p.slug = uniqueSlug(posts, slugify(p.title), p);
+    }
+  }
+  return posts;
+}
+
+// What a translation carries (translations.<lang>); everything else is shared with the post
+const TRANSLATION_FIELDS = {
+  title: { required: true, check: text(300) },
+  excerpt: { required: true, check: text(2000) },
+  html: { required: (input) => !input.markdown, check: text(500000) },
+  markdown: { check: text(500000) },
+  wordCount: { check: wholeNumber },
+  readingTime: { check: text(40) }
+};
+
+const FIELDS = {
+  id: {
+    check: (v) => {
+      const n = typeof v === 'string' && /^\d+$/.test(v.trim()) ? Number(v) : v;
+      if (!Number.isSafeInteger(n) || n < 1) bad('must be a positive integer');
+      return n;
+    }
+  },
+  title: { required: true, check: text(300) },
+  // URL name (/posts/<slug>); generated from the title when absent
+  slug: { check: (v) => slugCheck(v) },
+  // Slugs the post had before; kept by the store (not the client) so old URLs still resolve
+  previousSlugs: {
+    check: (v) => {
+      if (!Array.isArray(v)) bad('must be an array of slugs');
+      return v.map(slugCheck);
+    }
+  },
+  date: {
+    required: true,
+    check: (v) => {
+      if (typeof v !== 'string' || !isDate(v.trim())) bad('must be a date (YYYY-MM-DD)');
+      return v.trim();
+    }
+  },
+  excerpt: { required: true, check: text(2000) },
+  html: { required: (input) => !input.markdown, check: text(500000) },
+  markdown: { check: text(500000) },
+  category: { check: text(100) },
+  // Free-form labels for the blog's tag archives; trimmed, blanks and case-insensitive duplicates dropped
+  tags: {
+    check: (v) => {
+      if (!Array.isArray(v)) bad('must be an array of strings');
+      if (v.length > 20) bad('must have at most 20 tags');
+      const seen = new Set();
+      return v.map((t, i) => {
+        if (typeof t !== 'string') bad(`[${i}] must be a string`);
+        if (t.length > 50) bad(`[${i}] must be at most 50 characters`);
+        return t.trim().replace(/\s+/g, ' ');
+      }).filter(t => t && !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()));
+    }
+  },
+  // Derived from the body on every save (readingStats); whatever the client sends is replaced
+  wordCount: { check: wholeNumber },
+  readingTime: { check: text(40) },
+  cover: { check: text(500) },
+  featured: {
+    check: (v) => {
+      if (typeof v !== 'boolean') bad('must be true or false');
+      return v;
+    }
+  },
+  // Language of title / excerpt / body, and the one shown when a translation is missing
+  // (absent: config.site.language, set on save)
+  lang: {
+    check: (v) => {
+      if (!LOCALES.includes(v)) bad(`must be one of ${LOCALES.join(', ')}`);
+      return v;
+    }
+  },
+  // The same post in other languages: { fr: { title, excerpt, html | markdown } }
+  translations: {
+    check: (v) => {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) bad('must be an object keyed by language');
+      const errors = [];
+      const out = {};
+      for (const [locale, tr] of Object.entries(v)) {
+        if (!LOCALES.includes(locale)) errors.push(`${locale}: not one of ${LOCALES.join(', ')}`);
+        else if (!tr || typeof tr !== 'object' || Array.isArray(tr)) errors.push(`${locale}: must be an object`);
+        else out[locale] = checkFields(TRANSLATION_FIELDS, tr, errors, `${locale}.`);
+      }
+      if (errors.length) bad(errors.join('; '));
+      return out;
+    }
+  },
+  // Absent = published (posts saved before statuses existed)
+  status: {
+    check: (v) => {
+      if (!STATUSES.includes(v)) bad(`must be one of ${STATUSES.join(', ')}`);
+      return v;
+    }
+  },
+  // When the post goes public (ISO 8601 with a time zone; stored as UTC)
+  publishAt: {
+    required: (input) => input.status === 'scheduled',
+    check: (v) => {
+      if (typeof v !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(v.trim()) || Number.isNaN(Date.parse(v))) {
+        bad('must be a date and time with a time zone (e.g. 2025-11-20T08:00:00Z)');
+      }
+      return new Date(v).toISOString();
+    }
+  }
+};
+
+/**
+ * Whether the public may see a post at `now`: published or scheduled, and publishAt
+ * (when set) reached. Drafts and archived posts are only seen through preview links.
+ * js/blog_render_posts.js applies the same rule in isPublic().
+ */
+function isPublished(p, now = Date.now()) {
+  const status = p.status || 'published';
+  if (status !== 'published' && status !== 'scheduled') return false;
+  if (!p.publishAt) return status === 'published';
+  return Date.parse(p.publishAt) <= now;
+}
+
+/** Plain text of a post body: tags dropped, the common entities decoded. */
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘' };
+const textOf = (html) => String(html ?? '')
+  .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (m, dec, hex, name) => {
+    if (name) return ENTITIES[name.toLowerCase()] ?? ' ';
+    const cp = dec ? Number(dec) : parseInt(hex, 16);
+    return cp > 0 && cp <= 0x10ffff ? String.fromCodePoint(cp) : ' ';
+  });
+
+// A word: letters / digits, with inner apostrophes, hyphens or dots ("l’éthique", "e-mail", "3.14")
+const WORD_RE = /[\p{L}\p{N}]+(?:['’.\-][\p{L}\p{N}]+)*/gu;
+
+/** { wordCount, readingTime: "<n> min" } of an html body, at `wordsPerMinute` (at least 1 min). */
+function readingStats(html, wordsPerMinute) {
+  const wordCount = (textOf(html).match(WORD_RE) || []).length;
+  return { wordCount, readingTime: `${Math.max(1, Math.round(wordCount / wordsPerMinute))} min` };
+}
+
+/**
+ * The local file a `cover` points to, resolved under rootDir (a path like "assets/x.jpg" or
+ * "/assets/x.jpg"), or null for remote URLs (http:, https:, //host) and data: URLs.
+ */
+function coverFile(cover, rootDir) {
+  if (typeof cover !== 'string' || /^([a-z][\w+.-]*:|\/\/)/i.test(cover)) return null;
+  let rel;
+  try { rel = decodeURIComponent(cover.split(/[?#]/)[0]).replace(/^\/+/, ''); } catch { rel = cover; }
+  return path.resolve(rootDir, rel);
+}
+
+/** `input` checked against a field table (FIELDS shape); problems go to `errors` as "<prefix><key>: reason". */
+function checkFields(table, input, errors, prefix = '') {
+  const out = {};
+  for (const key of Object.keys(input)) {
+    if (!table[key]) errors.push(`${prefix}${key}: unknown field`);
+  }
+  for (const [key, field] of Object.entries(table)) {
+    const v = input[key];
+    const required = typeof field.required === 'function' ? field.required(input) : !!field.required;
+    if (v === undefined || v === null || v === '') {
+      if (required) errors.push(`${prefix}${key}: required`);
+      continue;
+    }
+    try {
+      out[key] = field.check(v);
+    } catch (e) {
+      errors.push(`${prefix}${key}: ${e.message}`);
+    }
+    if (required && out[key] === '') errors.push(`${prefix}${key}: required`);
+  }
+  return out;
+}
+
+/** Checks a post sent by a client; unknown fields are refused. */
+function validatePost(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'a post must be a JSON object' };
+  const errors = [];
+  const post = checkFields(FIELDS, input, errors);
+  if (post.lang && post.translations?.[post.lang]) errors.push(`translations: ${post.lang} is the post's own language`);
+  return errors.length ? { error: errors.join('; '), errors } : { post };
+}
+
+/**
+ * The post as shown in `locale`: its translation's title / excerpt / body when it has one,
+ * else the post itself. `lang` is the language actually shown; `languages` all it exists in.
+ * js/blog_render_posts.js localize() does the same in the browser.
+ */
+function localize(post, locale, defaultLang) {
+  const { translations = {}, ...base } = post;
+  const own = post.lang || defaultLang;
+  const languages = [own, ...Object.keys(translations).filter(l => l !== own)];
+  const tr = locale !== own ? translations[locale] : null;
+  return { ...base, ...(tr || {}), lang: tr ? locale : own, languages };
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+function createPostStore({ config, log, revisions = null }) {
+  const { file, backupDir, maxBackups, wordsPerMinute } = config.posts;
+  const { rootDir } = config.meta;
+
+  /** Current posts and version; the file is re-read each time so manual edits are seen. */
+  function read() {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      raw = '[]';
+    }
+    let posts;
+    try {
+      posts = JSON.parse(raw.replace(/^\uFEFF/, ''));
+    } catch (e) {
+      throw new PostsError('posts_file_invalid', `${path.basename(file)} is not valid JSON: ${e.message}`, 500);
+    }
+    if (!Array.isArray(posts)) throw new PostsError('posts_file_invalid', `${path.basename(file)} must hold an array`, 500);
+    // Posts added by hand without a slug get one here; the next write saves it
+    return { posts: withSlugs(posts), version: versionOf(raw) };
+  }
+
+  function versionOf(raw) {
+    return crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16);
+  }
+
+  function backup() {
+    if (!fs.existsSync(file)) return;
+    fs.mkdirSync(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.copyFileSync(file, path.join(backupDir, `posts.${stamp}.json`));
+    const old = fs.readdirSync(backupDir).filter(n => /^posts\..+\.json$/.test(n)).sort();
+    for (const name of old.slice(0, Math.max(0, old.length - maxBackups))) {
+      try { fs.unlinkSync(path.join(backupDir, name)); } catch { }
+    }
+  }
+
+  /** Back up, then replace the file atomically (temp file in the same directory + rename). */
+  function write(posts) {
+    const raw = JSON.stringify(posts, null, 2) + '\n';
+    backup();
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmp, raw, 'utf8');
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      try { fs.unlinkSync(tmp); } catch { }
+      throw e;
+    }
+    return versionOf(raw);
+  }
+
+  /** Read, check the client's version, apply `change(posts)`, write. Runs synchronously, so writes never interleave. */
+  function mutate(version, change) {
+    const current = read();
+    if (!version) throw new PostsError('version_required', 'Send the current version in If-Match.', 428, { version: current.version });
+    if (version !== current.version) {
+      throw new PostsError('version_conflict', 'The posts were changed by someone else; reload and try again.', 412, { version: current.version });
+    }
+    const result = change(current.posts);
+    return { ...result, version: write(current.posts) };
+  }
+
+  /** Validated, rendered and sanitized post with its derived fields, plus what the sanitizer removed. */
+  function checked(input) {
+    const { post, error, errors } = validatePost(input);
+    if (error) throw new PostsError('invalid_post', error, 400, { errors });
+    post.lang ??= config.site.language;
+    if (post.translations?.[post.lang]) {
+      const reason = `translations: ${post.lang} is the post's own language`;
+      throw new PostsError('invalid_post', reason, 400, { errors: [reason] });
+    }
+    if (post.markdown) post.html = renderMarkdown(post.markdown);
+    const { html, removed } = sanitizeHTML(post.html);
+    post.html = html;
+    for (const [locale, tr] of Object.entries(post.translations || {})) {
+      if (tr.markdown) tr.html = renderMarkdown(tr.markdown);
+      const clean = sanitizeHTML(tr.html);
+      tr.html = clean.html;
+      removed.push(...clean.removed.map(r => `translations.${locale}: ${r}`));
+      Object.assign(tr, readingStats(tr.html, wordsPerMinute));
+    }
+    if (post.cover) {
+      const cover = sanitizeURL(post.cover);
+      if (!cover) removed.push(`cover: ${post.cover.split(':')[0].slice(0, 20)}: URL`);
+      if (cover) post.cover = cover;
+      else delete post.cover;
+    }
+    const local = post.cover && coverFile(post.cover, rootDir);
+    if (local && !(local.startsWith(rootDir + path.sep) && fs.existsSync(local))) {
+      const reason = `cover: no file ${post.cover} in the site`;
+      throw new PostsError('invalid_post', reason, 400, { errors: [reason] });
+    }
+    Object.assign(post, readingStats(post.html, wordsPerMinute));
+    return { post, sanitized: removed };
+  }
+
+  function reportStripped(id, sanitized) {
+    if (sanitized.length) log.warn(`Post ${id}: sanitizer removed ${sanitized.join(', ')}`);
+  }
+
+  // At most one featured post: featuring another one is refused (409), naming the featured post
+  function checkOneFeatured(posts, post, old) {
+    if (!post.featured) return;
+    const other = posts.find(p => p !== old && p.featured);
+    if (other) {
+      throw new PostsError('featured_taken', `Post ${other.id} ("${other.title}") is already featured; unfeature it first.`, 409, { featuredId: other.id });
+    }
+  }
+
+  /**
+   * The post's slug: the one it asks for (409 when another post has or had it), else
+   * the one it has, else one made from the title. A replaced slug goes to previousSlugs.
+   */
+  function applySlug(posts, post, old) {
+    if (post.slug && slugTaken(posts, post.slug, old)) {
+      throw new PostsError('slug_taken', `The slug "${post.slug}" is used by another post.`, 409);
+    }
+    const slug = post.slug || old?.slug || uniqueSlug(posts, slugify(post.title), old);
+    const history = [...(old?.previousSlugs || []), ...(old?.slug && old.slug !== slug ? [old.slug] : [])]
+      .filter((s, i, all) => s !== slug && all.indexOf(s) === i);
+    post.slug = slug;
+    if (history.length) post.previousSlugs = history;
+    else delete post.previousSlugs;
+  }
+
+  /** Adds a saved post to its history; the save itself stands even if this fails. */
+  function keepRevision(post, meta, previous) {
+    if (!revisions) return;
+    try {
+      revisions.record(post, meta, previous);
+    } catch (e) {
+      log.error(`Post ${post.id}: revision not recorded: ${e.message}`);
+    }
+  }
+
+  function historyOf(id) {
+    if (!revisions) throw new PostsError('history_disabled', 'Revision history is not enabled.', 404);
+    indexOf(read().posts, id);
+    return revisions;
+  }
+
+  function indexOf(posts, id) {
+    const i = posts.findIndex(p => sameId(p.id, id));
+    if (i < 0) throw new PostsError('post_not_found', `No post with id ${id}.`, 404);
+    return i;
+  }
+
+  return {
+    file,
+    read,
+    list: () => read(),
+    get(id) {
+      const { posts, version } = read();
+      return { post: posts[indexOf(posts, id)], version };
+    },
+    /** Post whose current or a previous slug is `slug`: { post, moved } (moved: an old slug), or null. */
+    bySlug(slug) {
+      const { posts } = read();
+      const post = posts.find(p => p.slug === slug);
+      if (post) return { post, moved: false };
+      const old = posts.find(p => Array.isArray(p.previousSlugs) && p.previousSlugs.includes(slug));
+      return old ? { post: old, moved: true } : null;
+    },
+    create(input, version, meta = {}) {
+      const { post: fields, sanitized } = checked(input);
+      const result = mutate(version, (posts) => {
+        if (fields.id !== undefined && posts.some(p => sameId(p.id, fields.id))) {
+          throw new PostsError('duplicate_id', `A post with id ${fields.id} already exists.`, 409);
+        }
+        const id = fields.id ?? posts.reduce((max, p) => Math.max(max, Number(p.id) || 0), 0) + 1;
+        delete fields.previousSlugs; // a new post has no history
+        const post = { id, slug: fields.slug, ...fields };
+        checkOneFeatured(posts, post, null);
+        applySlug(posts, post, null);
+        posts.push(post);
+        log.info(`Post ${post.id} created: "${post.title}"`);
+        reportStripped(post.id, sanitized);
+        return { post, sanitized };
+      });
+      keepRevision(result.post, { ...meta, action: 'create' });
+      return result;
+    },
+    update(id, input, version, meta = {}) {
+      const { post, sanitized } = checked(input);
+      let previous;
+      const result = mutate(version, (posts) => {
+        const i = indexOf(posts, id);
+        previous = posts[i];
+        if (post.id === undefined) post.id = posts[i].id;
+        else if (!sameId(post.id, id) && posts.some(p => sameId(p.id, post.id))) {
+          throw new PostsError('duplicate_id', `A post with id ${post.id} already exists.`, 409);
+        }
+        checkOneFeatured(posts, post, posts[i]);
+        applySlug(posts, post, posts[i]);
+        posts[i] = post;
+        log.info(`Post ${id} updated` + (sameId(post.id, id) ? '' : ` (now id ${post.id})`));
+        reportStripped(post.id, sanitized);
+        return { post, sanitized };
+      });
+      if (revisions && !sameId(previous.id, result.post.id)) {
+        try { revisions.rename(previous.id, result.post.id); } catch (e) { log.error(`Post ${id}: history not renamed: ${e.message}`); }
+      }
+      keepRevision(result.post, { action: 'update', ...meta }, previous);
+      return result;
+    },
+    remove(id, version) {
+      const result = mutate(version, (posts) => {
+        const [post] = posts.splice(indexOf(posts, id), 1);
+        log.info(`Post ${id} deleted: "${post.title}"`);
+        return { post };
+      });
+      if (revisions) {
+        try { revisions.retire(result.post.id); } catch (e) { log.error(`Post ${id}: history not set aside: ${e.message}`); }
+      }
+      return { version: result.version };
+    },
+    revisions(id) {
+      return historyOf(id).list(id);
+    },
+    revision(id, rev) {
+      const revision = historyOf(id).get(id, rev);
+      if (!revision) throw new PostsError('revision_not_found', `Post ${id} has no revision ${rev}.`, 404);
+      return revision;
+    },
+    /** Saves revision `rev` again as the current post (a new revision, action "restore"). */
+    restore(id, rev, version, meta = {}) {
+      const revision = this.revision(id, rev);
+      // The id stays the current one (older revisions may predate an id change); slugs are re-derived
+      const { id: _old, previousSlugs, ...fields } = revision.post;
+      const current = this.get(id).post;
+      log.info(`Post ${id}: restoring revision ${revision.rev}`);
+      return this.update(id, { id: current.id, ...fields }, version, { ...meta, action: 'restore', restoredFrom: revision.rev });
+    },
+    /** Re-derives the computed fields of every post and translation (ids as numbers, wordCount, readingTime); see lib/post_check.js --fix. */
+    refresh(version) {
+      return mutate(version, (posts) => {
+        for (const p of posts) {
+          if (!p || typeof p !== 'object') continue;
+          if (typeof p.id === 'string' && /^\d+$/.test(p.id.trim())) p.id = Number(p.id);
+          if (typeof p.html === 'string') Object.assign(p, readingStats(p.html, wordsPerMinute));
+          for (const tr of Object.values(p.translations || {})) {
+            if (tr && typeof tr.html === 'string') Object.assign(tr, readingStats(tr.html, wordsPerMinute));
+          }
+        }
+        log.info('Posts refreshed (derived fields)');
+        return { posts };
+      });
+    },
+    reorder(ids, version) {
+      if (!Array.isArray(ids)) throw new PostsError('invalid_order', 'ids must be an array of post ids.');
+      return mutate(version, (posts) => {
+        const wanted = ids.map(String);
+        const have = posts.map(p => String(p.id));
+        if (new Set(wanted).size !== wanted.length || wanted.length !== have.length || !have.every(id => wanted.includes(id))) {
+          throw new PostsError('invalid_order', 'ids must list every post id exactly once.');
+        }
+        const byId = new Map(posts.map(p => [String(p.id), p]));
+        posts.splice(0, posts.length, ...wanted.map(id => byId.get(id)));
+        log.info('Posts reordered');
+        return { posts };
+      });
+    }
+  };
+}
+
+/* ------------------------------- Routes ------------------------------- */
+
+function postRoutes(store) {
+  const router = express.Router();
+
+  // If-Match / If-None-Match: "<version>" (quotes and a weak W/ prefix are tolerated)
+  const bare = (tag) => tag.trim().replace(/^W\//, '').replace(/"/g, '');
+  const ifMatch = (req) => bare(req.get('if-match') || '') || null;
+  const ifNoneMatch = (req, version) => (req.get('if-none-match') || '').split(',').some(t => bare(t) === version);
+
+  // Who saved it, for the revision history
+  const by = (req) => ({ author: req.principal?.name ?? null });
+
+  const reply = (res, status, body) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('ETag', `"${body.version}"`);
+    res.status(status).json({ ok: true, ...body });
+  };
+
+  const handle = (fn) => (req, res) => {
+    try {
+      fn(req, res);
+    } catch (e) {
+      if (!(e instanceof PostsError)) throw e;
+      const body = { ok: false, error: e.code, detail: e.message };
+      if (e.errors) body.errors = e.errors;
+      if (e.featuredId !== undefined) body.featuredId = e.featuredId;
+      if (e.version) {
+        body.version = e.version;
+        res.setHeader('ETag', `"${e.version}"`);
+      }
+      res.status(e.status).json(body);
+    }
+  };
+
+  router.get('/', handle((req, res) => {
+    const { posts, version } = store.list();
+    if (ifNoneMatch(req, version)) return res.status(304).end();
+    reply(res, 200, { version, posts });
+  }));
+
+  router.get('/:id', handle((req, res) => {
+    const { post, version } = store.get(req.params.id);
+    reply(res, 200, { version, post });
+  }));
+
+  router.post('/preview', (req, res) => {
+    const markdown = req.body?.markdown;
+    if (typeof markdown !== 'string') return res.status(400).json({ ok: false, error: 'invalid_markdown', detail: 'markdown must be a string' });
+    res.setHeader('Cache-Control', 'no-store');
+    const { html, removed } = sanitizeHTML(renderMarkdown(markdown));
+    res.json({ ok: true, html, sanitized: removed });
+  });
+
+  router.post('/', handle((req, res) => {
+    const result = store.create(req.body, ifMatch(req), by(req));
+    res.location(`/api/posts/${result.post.id}`);
+    reply(res, 201, result);
+  }));
+
+  // Registered before /:id so "order" is not taken for an id
+  router.put('/order', handle((req, res) => {
+    reply(res, 200, store.reorder(req.body?.ids, ifMatch(req)));
+  }));
+
+  router.put('/:id', handle((req, res) => {
+    reply(res, 200, store.update(req.params.id, req.body, ifMatch(req), by(req)));
+  }));
+
+  router.delete('/:id', handle((req, res) => {
+    reply(res, 200, store.remove(req.params.id, ifMatch(req)));
+  }));
+
+  // Revision history (lib/revisions.js)
+  router.get('/:id/revisions', handle((req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok: true, revisions: store.revisions(req.params.id) });
+  }));
+
+  router.get('/:id/revisions/:rev', handle((req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok: true, revision: store.revision(req.params.id, req.params.rev) });
+  }));
+
+  router.post('/:id/revisions/:rev/restore', handle((req, res) => {
+    reply(res, 200, store.restore(req.params.id, req.params.rev, ifMatch(req), by(req)));
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createPostStore, postRoutes, validatePost, isPublished, localize, slugify, withSlugs, readingStats, coverFile,
+  STATUSES, LOCALES, PostsError
+};
@@ -0,0 +1,204 @@
+/**
+ * lib/rbac.js — Role-based access control for server routes.
+ *
+ * Roles are ordered: viewer < operator < admin (a role includes every lower one).
+ * Each protected route maps to the minimum role it needs; routes not in the map stay public.
+ * Callers are identified by their member session (lib/auth.js) or by an API token
+ * sent as "Authorization: Bearer <token>" for scripted access.
+ *
+ * Exports:
+ *   - ROLES, DEFAULT_PERMISSIONS
+ *   - hasRole(role, required) -> boolean
+ *   - createTokenStore(file)
+ *   - createAccessControl({ config, log }) -> { authorize, requireRole(role), requiredRoleFor(method, path), tokens }
+ *
+ * CLI (manage API tokens; the secret is printed once and only its hash is stored):
+ *   node lib/rbac.js create-token <name> <role>
+ *   node lib/rbac.js revoke-token <id>
+ *   node lib/rbac.js list-tokens
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// "METHOD /path" -> minimum role. METHOD may be '*'; a trailing '*' in the path matches a prefix.
+// config.access.permissions adds to / overrides these ('public' removes protection).
+const DEFAULT_PERMISSIONS = {
+  '* /admin/*': 'admin',
+  'GET /collect_system_props': 'admin',
+  'POST /run_python': 'operator',
+  'POST /run_python_v0': 'operator',
+  'POST /run_python_hacker_snippet': 'operator',
+  'POST /run_exe': 'operator',
+  '* /jobs*': 'operator',
+  'GET /clear_sys_props_log': 'operator',
+  'GET /scan_ports': 'operator',
+  'GET /scan_bluetooth': 'operator',
+  'GET /networks_scan': 'operator',
+  'GET /network/connections': 'operator',
+  'GET /network_inspector': 'operator',
+  'GET /analyze_url': 'operator',
+  'GET /metrics': 'operator', // scrapers use an API token
+  '* /api/posts*': 'admin',
+  'GET /api/posts/search': 'public', // blog.html search box
+  'GET /video_list': 'viewer',
+  'GET /video_stream': 'viewer'
+};
+
+function hasRole(role, required) {
+  const have = ROLES.indexOf(role);
+  return have >= 0 && have >= ROLES.indexOf(required);
+}
+
+/* ----------------------------- Token store ---------------------------- */
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+// File format: { "tokens": [ { "id", "name", "role", "hash", "createdAt" } ] }
+function createTokenStore(file) {
+  function read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data.tokens) ? data.tokens : [];
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+  function write(tokens) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ tokens }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    file,
+    list: () => read().map(({ hash, ...rest }) => rest),
+    /** Returns { id, token }; the plain token is not recoverable afterwards. */
+    create(name, role) {
+      if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+      const id = crypto.randomBytes(4).toString('hex');
+      const token = `mba_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+      const tokens = read();
+      tokens.push({ id, name: String(name || id), role, hash: sha256(token), createdAt: new Date().toISOString() });
+      write(tokens);
+      return { id, token };
+    },
+    revoke(id) {
+      const tokens = read();
+      const next = tokens.filter(t => t.id !== id);
+      write(next);
+      return next.length !== tokens.length;
+    },
+    verify(token) {
+      const h = Buffer.from(sha256(token));
+      return read().find(t => {
+        const b = Buffer.from(String(t.hash));
+        return b.length === h.length && crypto.timingSafeEqual(b, h);
+      }) || null;
+    }
+  };
+}
+
+/* --------------------------- Access control --------------------------- */
+
+function createAccessControl({ config, log }) {
+  const tokens = createTokenStore(config.access.tokensFile);
+
+  // Express matches routes case-insensitively and ignores a trailing slash, so compare the same way
+  const normalize = (p) => p.toLowerCase().replace(/(.)\/+$/, '$1');
+
+  const rules = Object.entries({ ...DEFAULT_PERMISSIONS, ...config.access.permissions }).map(([key, role]) => {
+    const [method, rawPattern] = key.split(' ');
+    const pattern = normalize(rawPattern);
+    const prefix = pattern.endsWith('*');
+    return { method: method.toUpperCase(), path: prefix ? pattern.slice(0, -1) : pattern, prefix, role };
+  });
+
+  /** Most specific matching rule wins (exact path, then longest prefix). Returns null when public. */
+  function requiredRoleFor(method, reqPath) {
+    reqPath = normalize(reqPath);
+    let best = null;
+    for (const r of rules) {
+      if (r.method !== '*' && r.method !== method && !(r.method === 'GET' && method === 'HEAD')) continue;
+      const hit = r.prefix ? reqPath.startsWith(r.path) : reqPath === r.path;
+      if (!hit) continue;
+      const score = (r.prefix ? 0 : 100000) + r.path.length * 2 + (r.method === '*' ? 0 : 1);
+      if (!best || score > best.score) best = { score, role: r.role };
+    }
+    return best && best.role !== 'public' ? best.role : null;
+  }
+
+  /** Resolve req.principal from a Bearer token, else from the member session. */
+  function identify(req) {
+    const m = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (m) {
+      const t = tokens.verify(m[1]);
+      return t ? { name: t.name, role: t.role, via: 'token', tokenId: t.id } : { invalidToken: true };
+    }
+    if (req.user) return { name: req.user.username, role: req.user.role, via: 'session' };
+    return null;
+  }
+
+  function deny(req, res, status, required) {
+    const body = status === 401
+      ? { ok: false, error: 'unauthorized', detail: 'Login or an API token is required.' }
+      : { ok: false, error: 'forbidden', detail: `Requires role "${required}".`, required };
+    (req.log || log).warn(`${status} ${req.method} ${req.path} (${req.principal?.name || 'anonymous'})`);
+    if (status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(status).json(body);
+  }
+
+  function check(req, res, next, required) {
+    const who = identify(req);
+    if (who?.invalidToken) return deny(req, res, 401);
+    req.principal = who;
+    if (!required) return next();
+    if (!who) return deny(req, res, 401);
+    if (!hasRole(who.role, required)) return deny(req, res, 403, required);
+    next();
+  }
+
+  /** Middleware: enforce the permission map for every request. */
+  const authorize = (req, res, next) => check(req, res, next, requiredRoleFor(req.method, req.path));
+
+  /** Middleware factory for routes that need a role regardless of the map. */
+  const requireRole = (role) => (req, res, next) => check(req, res, next, role);
+
+  return { authorize, requireRole, requiredRoleFor, tokens };
+}
+
+module.exports = { ROLES, DEFAULT_PERMISSIONS, hasRole, createTokenStore, createAccessControl };
+
+/* -------------------------------- CLI --------------------------------- */
+
+if (require.main === module) {
+  const { loadConfig } = require('./config');
+  const [cmd, a, b] = process.argv.slice(2);
+  const store = createTokenStore(loadConfig().access.tokensFile);
+
+  try {
+    switch (cmd) {
+      case 'create-token': {
+        const { id, token } = store.create(a, b);
+        console.log(`Token ${id} (${b}) created. Store it now, it is not shown again:\n${token}`);
+        break;
+      }
+      case 'revoke-token':
+        console.log(store.revoke(a) ? `Revoked ${a}` : `No such token: ${a}`);
+        break;
+      case 'list-tokens':
+        for (const t of store.list()) console.log(`${t.id}\t${t.role}\t${t.name}\t${t.createdAt}`);
+        break;
+      default:
+        console.log('usage: node lib/rbac.js create-token <name> <role> | revoke-token <id> | list-tokens');
+        process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
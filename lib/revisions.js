@@ -0,0 +1,119 @@
+/**
+ * lib/revisions.js — Revision history of the blog posts: every save keeps a full copy.
+ *
+ * Each post has an append-only NDJSON file, <config.posts.revisions.dir>/<id>.ndjson, one
+ * line per saved version: { rev, at, author, action, restoredFrom?, post }, where action is
+ * create | update | restore | baseline. Lines are never edited. The only rewrite is pruning,
+ * after an append, which thins out old revisions (config.posts.revisions):
+ *   - the newest keepLatest revisions and the first one stay;
+ *   - older ones younger than keepDailyDays keep the last revision of each day;
+ *   - older still keep the last revision of each month.
+ * Revision numbers are never reused, so gaps show where revisions were pruned.
+ *
+ * The first save of a post saved before history existed also records the version it
+ * replaced (action "baseline", at: null), so that first change can be diffed. When a post
+ * is deleted its history is set aside as <id>.deleted-<time>.ndjson; an id change renames it.
+ *
+ * The routes (list, one revision, restore) are in lib/posts.js; the diff is computed in
+ * the browser (js/word_diff.js, manage_posts.html).
+ *
+ * Exports:
+ *   - createRevisionStore({ config, log }) -> { record(post, meta, previous), list(id), get(id, rev),
+ *                                              rename(from, to), retire(id) }
+ *   - prune(revisions, { keepLatest, keepDailyDays }, now?) -> the revisions to keep (same order)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/** Which revisions survive pruning; `list` is oldest first. */
+function prune(list, { keepLatest, keepDailyDays }, now = Date.now()) {
+  if (list.length <= keepLatest) return list;
+  const keep = new Set([list[0], ...list.slice(-keepLatest)]);
+  const seen = new Set();
+  // Newest first, so each day / month keeps its last revision
+  for (const r of list.slice(0, -keepLatest).reverse()) {
+    const t = Date.parse(r.at);
+    if (!Number.isFinite(t)) continue;
+    const bucket = now - t < keepDailyDays * DAY_MS ? r.at.slice(0, 10) : r.at.slice(0, 7);
+    if (seen.has(bucket)) continue;
+    seen.add(bucket);
+    keep.add(r);
+  }
+  return list.filter(r => keep.has(r));
+}
+
+function createRevisionStore({ config, log }) {
+  const rules = config.posts.revisions;
+  const dir = rules.dir;
+  const fileOf = (id) => path.join(dir, `${encodeURIComponent(String(id))}.ndjson`);
+
+  /** All revisions of a post, oldest first (unreadable lines are skipped). */
+  function read(id) {
+    let raw;
+    try {
+      raw = fs.readFileSync(fileOf(id), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const list = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try { list.push(JSON.parse(line)); } catch { }
+    }
+    return list;
+  }
+
+  /** Rewrites a history without the pruned revisions (temp file + rename). */
+  function compact(id, list) {
+    const kept = prune(list, rules);
+    if (kept.length === list.length) return;
+    const file = fileOf(id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, kept.map(r => JSON.stringify(r) + '\n').join(''), 'utf8');
+    fs.renameSync(tmp, file);
+    log.info(`Post ${id}: ${list.length - kept.length} old revision(s) pruned, ${kept.length} kept`);
+  }
+
+  return {
+    /**
+     * Appends `post` as a new revision. meta: { author, action, restoredFrom }.
+     * `previous` (the version being replaced) is recorded first when the post has no history yet.
+     */
+    record(post, { author = null, action = 'update', restoredFrom } = {}, previous = null) {
+      fs.mkdirSync(dir, { recursive: true });
+      const list = read(post.id);
+      const at = new Date().toISOString();
+      let rev = list.length ? list[list.length - 1].rev : 0;
+      const added = [];
+      if (!list.length && previous) added.push({ rev: ++rev, at: null, author: null, action: 'baseline', post: previous });
+      added.push({ rev: ++rev, at, author, action, ...(restoredFrom ? { restoredFrom } : {}), post });
+      fs.appendFileSync(fileOf(post.id), added.map(r => JSON.stringify(r) + '\n').join(''), 'utf8');
+      compact(post.id, list.concat(added));
+      return added[added.length - 1];
+    },
+    /** Newest first, without the post bodies. */
+    list(id) {
+      return read(id).reverse().map(({ post, ...r }) => ({ ...r, title: post?.title ?? '' }));
+    },
+    get(id, rev) {
+      return read(id).find(r => String(r.rev) === String(rev)) || null;
+    },
+    /** The post's id changed: its history follows. */
+    rename(from, to) {
+      if (!fs.existsSync(fileOf(from))) return;
+      if (fs.existsSync(fileOf(to))) this.retire(to);
+      fs.renameSync(fileOf(from), fileOf(to));
+    },
+    /** The post was deleted: keep its history aside, so a new post reusing the id starts fresh. */
+    retire(id) {
+      if (!fs.existsSync(fileOf(id))) return;
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      fs.renameSync(fileOf(id), fileOf(id).replace(/\.ndjson$/, `.deleted-${stamp}.ndjson`));
+    }
+  };
+}
+
+module.exports = { createRevisionStore, prune };
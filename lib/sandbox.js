@@ -0,0 +1,121 @@
+/**
+ * lib/sandbox.js — Execution policy for spawned scripts.
+ *
+ * A policy (config.python.policies.<script>) describes how a script may run:
+ *   - timeoutMs       wall-clock limit (null = config.timeouts.pythonMs)
+ *   - maxOutputBytes  stdout + stderr budget; the process is killed past it
+ *   - memoryMb        address-space limit   (Linux: prlimit --as, else ulimit -v)
+ *   - cpuSeconds      CPU-time limit        (Linux: prlimit --cpu, else ulimit -t)
+ *   - scratchDir      run in a fresh temp directory, removed afterwards
+ *   - scrubEnv        pass only the variables listed in envAllow
+ *   - network         false = no network (Linux: unshare -rn, a private empty net namespace)
+ *
+ * Exports:
+ *   - prepareSpawn(policy, exe, args, { rootDir }) -> { command, args, options, cleanup(), warnings }
+ *   - classifyExit({ signal, stderrTail, policy }) -> error code or null
+ *   - SandboxError (err.code = 'policy_unsupported' | 'scratch_failed')
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+class SandboxError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SandboxError';
+    this.code = code;
+  }
+}
+
+const whichCache = new Map();
+/** Find an executable on PATH (cached). Returns its absolute path or null. */
+function which(bin) {
+  if (whichCache.has(bin)) return whichCache.get(bin);
+  let found = null;
+  for (const dir of String(process.env.PATH || '').split(path.delimiter)) {
+    const candidate = path.join(dir, bin);
+    try { fs.accessSync(candidate, fs.constants.X_OK); found = candidate; break; } catch { }
+  }
+  whichCache.set(bin, found);
+  return found;
+}
+
+function buildEnv(policy, scratch) {
+  const base = policy.scrubEnv
+    ? Object.fromEntries(policy.envAllow.filter(k => process.env[k] !== undefined).map(k => [k, process.env[k]]))
+    : { ...process.env };
+  base.PYTHONUNBUFFERED = '1';
+  if (scratch) {
+    base.HOME = scratch;
+    base.TMPDIR = scratch;
+    if (process.platform === 'win32') { base.TEMP = scratch; base.TMP = scratch; }
+  }
+  return base;
+}
+
+/**
+ * Wrap `exe args` with the policy's limits. Throws SandboxError when the policy
+ * asks for isolation this platform cannot provide (we refuse rather than run unconfined).
+ */
+function prepareSpawn(policy, exe, args, { rootDir }) {
+  const warnings = [];
+  const linux = process.platform === 'linux';
+  let command = exe;
+  let argv = args.slice();
+
+  const hasLimits = policy.memoryMb || policy.cpuSeconds;
+  if (hasLimits && process.platform === 'win32') {
+    warnings.push('memoryMb/cpuSeconds are not enforced on Windows');
+  } else if (hasLimits) {
+    if (linux && which('prlimit')) {
+      const limits = [];
+      if (policy.memoryMb) limits.push(`--as=${policy.memoryMb * 1024 * 1024}`);
+      if (policy.cpuSeconds) limits.push(`--cpu=${policy.cpuSeconds}`);
+      argv = [...limits, '--', command, ...argv];
+      command = 'prlimit';
+    } else {
+      // POSIX fallback: set the limits in a shell, then exec the real command
+      const ulimits = [];
+      if (policy.memoryMb) ulimits.push(`ulimit -v ${policy.memoryMb * 1024}`);
+      if (policy.cpuSeconds) ulimits.push(`ulimit -t ${policy.cpuSeconds}`);
+      argv = ['-c', `${ulimits.join(' && ')} && exec "$@"`, 'sh', command, ...argv];
+      command = '/bin/sh';
+    }
+  }
+
+  if (policy.network === false) {
+    if (!linux || !which('unshare')) {
+      throw new SandboxError('policy_unsupported', 'network: false needs Linux with unshare(1)');
+    }
+    argv = ['-rn', '--', command, ...argv];
+    command = 'unshare';
+  }
+
+  let scratch = null;
+  if (policy.scratchDir) {
+    try { scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'myblog-job-')); }
+    catch (e) { throw new SandboxError('scratch_failed', `Cannot create scratch directory: ${e.message}`); }
+  }
+
+  const cleanup = () => {
+    if (scratch) fs.rm(scratch, { recursive: true, force: true }, () => { });
+  };
+
+  return {
+    command,
+    args: argv,
+    options: { cwd: scratch || rootDir, env: buildEnv(policy, scratch), windowsHide: true },
+    scratch,
+    cleanup,
+    warnings
+  };
+}
+
+/** Map how a process ended onto a policy violation code (or null if it wasn't one). */
+function classifyExit({ signal, stderrTail, policy }) {
+  if (signal === 'SIGXCPU') return 'cpu_limit';
+  if (policy.memoryMb && /MemoryError|Cannot allocate memory|std::bad_alloc/.test(stderrTail || '')) return 'memory_limit';
+  return null;
+}
+
+module.exports = { prepareSpawn, classifyExit, SandboxError };
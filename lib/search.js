@@ -0,0 +1,333 @@
+/**
+ * lib/search.js — Full-text search over the blog posts (inverted index + BM25).
+ *
+ * Indexed fields: title, excerpt, category + tags and the text content of `html`, each with
+ * a weight (FIELD_WEIGHTS) applied to its term frequencies. Terms are accent-folded
+ * ("Éthique" -> "ethique"), lowercased, French elisions dropped ("l'énergie" -> "energie"),
+ * stop words skipped, then stemmed. Each post is stemmed as French or English depending
+ * on which language's stop words it uses most; a query word is stemmed both ways and
+ * matches either form.
+ *
+ * A post is indexed once per language it has (its own and each of `translations`, see
+ * localize() in lib/posts.js) and scores as its best-matching language, so a French query
+ * finds a post through its French translation. Results come back in the reader's language
+ * (?lang=) when the post has it, else in the post's own language.
+ *
+ * Only published posts (isPublished, lib/posts.js) are indexed. The index is rebuilt
+ * lazily when the posts version changes or a scheduled post goes live.
+ *
+ * Routes:
+ *   GET /api/posts/search?q=...&limit=20&lang=fr -> { query, total, results: [{ id, score, post, highlights }] }
+ *     post: the card fields (no body) in `lang`; highlights: { title, snippet } as HTML, matches in <mark>
+ *
+ * Exports:
+ *   - createSearch({ posts, defaultLang }) -> { search(q, { limit, lang }), handler }  (defaultLang: config.site.language)
+ *   - analyze(text, lang) -> [term], foldText(s), stem(word, lang)
+ */
+const { sanitizeHTML } = require('../js/sanitize_html');
+
+const FIELD_WEIGHTS = { title: 3, labels: 2, excerpt: 1.5, body: 1 }; // labels: category + tags
+const BM25 = { k1: 1.2, b: 0.75 };
+const SNIPPET_CHARS = 180;
+const MAX_QUERY = 200;
+const CARD_FIELDS = ['id', 'slug', 'title', 'date', 'excerpt', 'readingTime', 'category', 'tags', 'cover', 'featured', 'lang', 'languages'];
+
+/* ------------------------------ Analysis ------------------------------ */
+
+const STOP = {
+  en: new Set(('a an and are as at be been but by for from had has have he her his i if in into is it its ' +
+    'not of on or our she so than that the their them then there these they this to was we were what when ' +
+    'which who will with you your').split(' ')),
+  fr: new Set(('a au aux avec ce ces cet cette dans de des du elle en est et etre eux il ils je la le les ' +
+    'leur leurs lui mais me meme mes moi mon ne nos notre nous on ou par pas pour qu que qui sa se ses son ' +
+    'sont sur ta te tes toi ton tu un une vos votre vous y c d j l m n s t').split(' '))
+};
+
+/** Lowercase, strip accents, expand ligatures. */
+function foldText(s) {
+  return String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/œ/g, 'oe').replace(/æ/g, 'ae').replace(/ß/g, 'ss');
+}
+
+// Words with their offsets in the original text: runs of letters/digits; inner
+// apostrophes are kept only so that elisions ("qu'il") can be split off afterwards
+const WORD_RE = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+const ELISION = /^(?:l|d|j|m|n|s|t|c|qu|jusqu|lorsqu|puisqu)['’]/;
+
+function* words(text) {
+  for (const m of String(text ?? '').matchAll(WORD_RE)) {
+    let word = m[0];
+    let at = m.index;
+    const el = ELISION.exec(foldText(word));
+    if (el) { word = word.slice(el[0].length); at += el[0].length; }
+    for (const part of word.split(/['’]/)) {
+      yield { word: part, folded: foldText(part), start: at, end: at + part.length };
+      at += part.length + 1;
+    }
+  }
+}
+
+const VOWEL = /[aeiouy]/;
+const endsWith = (w, suffixes) => suffixes.find(s => w.endsWith(s) && w.length - s.length >= 3);
+
+const EN_DERIVED = ['ational', 'ization', 'fulness', 'ousness', 'iveness', 'ement', 'ment', 'ness', 'ation',
+  'ism', 'ist', 'ity', 'ful', 'ous', 'ive', 'al', 'ic', 'ly'];
+
+// Light English stemmer (after Porter's first steps): plurals, -ed/-ing, common derivations
+function stemEn(w) {
+  if (w.length <= 3) return w;
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'i';
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  const ed = /(ed|ing)$/.exec(w);
+  if (ed && VOWEL.test(w.slice(0, -ed[0].length)) && w.length - ed[0].length >= 3) {
+    w = w.slice(0, -ed[0].length);
+    if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+  // Up to two derivational suffixes: "materialism" -> "material" -> "materi"
+  for (let i = 0; i < 2; i++) {
+    const derived = endsWith(w, EN_DERIVED);
+    if (!derived) break;
+    w = w.slice(0, -derived.length);
+  }
+  if (w.endsWith('y') && w.length > 3 && !VOWEL.test(w[w.length - 2])) w = w.slice(0, -1) + 'i';
+  if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+// Light French stemmer (in the spirit of Savoy's): plurals, frequent derivational
+// suffixes, then a final -e / -er / -ez. Works on folded words (no accents).
+function stemFr(w) {
+  if (w.length <= 4) return w;
+  if (w.endsWith('aux')) w = w.slice(0, -3) + 'al';
+  else if (/[sx]$/.test(w)) w = w.slice(0, -1);
+  const derived = endsWith(w, ['issement', 'ement', 'atrice', 'ateur', 'ation', 'ances', 'ance', 'ence', 'ique',
+    'isme', 'iste', 'able', 'euse', 'eux', 'ite', 'ive', 'if']);
+  if (derived) w = w.slice(0, -derived.length);
+  const tail = endsWith(w, ['er', 'ez', 'ee', 'e']);
+  if (tail) w = w.slice(0, -tail.length);
+  return w;
+}
+
+function stem(word, lang) {
+  if (/^\d+$/.test(word)) return word;
+  return lang === 'fr' ? stemFr(word) : stemEn(word);
+}
+
+const isStop = (folded) => STOP.en.has(folded) || STOP.fr.has(folded);
+
+/** Terms of a text, in order (stop words removed). */
+function analyze(text, lang) {
+  const terms = [];
+  for (const { folded } of words(text)) {
+    if (!isStop(folded)) terms.push(stem(folded, lang));
+  }
+  return terms;
+}
+
+/** 'fr' or 'en', by which language's stop words the text uses more. */
+function detectLanguage(text) {
+  let fr = 0, en = 0;
+  for (const { folded } of words(text)) {
+    if (STOP.fr.has(folded) && folded.length > 1) fr++;
+    if (STOP.en.has(folded) && folded.length > 1) en++;
+  }
+  return fr > en ? 'fr' : 'en';
+}
+
+/* ------------------------------- Helpers ------------------------------ */
+
+const escapeHTML = (s) => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/** Text content of a post body: sanitized, tags dropped, entities decoded. */
+function textOf(html) {
+  return sanitizeHTML(html || '').html
+    .replace(/<(br|\/p|\/li|\/h\d|\/div|\/tr|\/blockquote|\/pre)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp|#39);/gi, (m, e) => {
+      const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }[e.toLowerCase()];
+      if (named) return named;
+      const n = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return n > 0 && n < 0x110000 ? String.fromCodePoint(n) : ' ';
+    })
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/* -------------------------------- Index ------------------------------- */
+
+// One doc per post and language: { post, view (localized post), lang (for stemming), length, body }
+function buildIndex(posts, localize, defaultLang) {
+  const docs = [];
+  const postings = new Map(); // term -> Map(docIndex -> weighted tf)
+  for (const p of posts) {
+    if (!p || p.id === undefined) continue;
+    const labels = [p.category, ...(Array.isArray(p.tags) ? p.tags : [])].filter(Boolean).join(', ');
+    for (const locale of localize(p, null, defaultLang).languages) {
+      const view = localize(p, locale, defaultLang);
+      const fields = { title: view.title, labels, excerpt: view.excerpt, body: textOf(view.html) };
+      const lang = detectLanguage(`${fields.title || ''} ${fields.excerpt || ''} ${fields.body}`);
+      const d = docs.length;
+      let length = 0;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        for (const term of analyze(fields[field], lang)) {
+          if (!postings.has(term)) postings.set(term, new Map());
+          const tf = postings.get(term);
+          tf.set(d, (tf.get(d) || 0) + weight);
+          length += weight;
+        }
+      }
+      docs.push({ post: p, view, lang, length, body: fields.body });
+    }
+  }
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+  return { docs, postings, avgLength };
+}
+
+/** Query words -> [{ variants: Set(term) }] (each word stemmed as EN and FR). */
+function parseQuery(q) {
+  const seen = new Set();
+  const parsed = [];
+  for (const { folded } of words(q)) {
+    if (isStop(folded) || seen.has(folded)) continue;
+    seen.add(folded);
+    parsed.push({ word: folded, variants: new Set([stem(folded, 'en'), stem(folded, 'fr')]) });
+  }
+  return parsed;
+}
+
+/** Escaped text with every word whose term is in `terms` wrapped in <mark>. */
+function mark(text, lang, terms) {
+  let out = '';
+  let last = 0;
+  for (const w of words(text)) {
+    if (isStop(w.folded) || !terms.has(stem(w.folded, lang))) continue;
+    out += escapeHTML(text.slice(last, w.start)) + `<mark>${escapeHTML(text.slice(w.start, w.end))}</mark>`;
+    last = w.end;
+  }
+  return out + escapeHTML(text.slice(last));
+}
+
+/** Window of about SNIPPET_CHARS around the densest cluster of matches, highlighted. */
+function snippet(text, lang, terms) {
+  text = text.replace(/\s+/g, ' ').trim();
+  const hits = [];
+  for (const w of words(text)) {
+    if (!isStop(w.folded) && terms.has(stem(w.folded, lang))) hits.push(w.start);
+  }
+  if (!hits.length) return null;
+  let best = 0, bestCount = 0;
+  for (let i = 0, j = 0; i < hits.length; i++) {
+    while (hits[i] - hits[j] > SNIPPET_CHARS * 0.6) j++;
+    if (i - j + 1 > bestCount) { bestCount = i - j + 1; best = hits[j]; }
+  }
+  let start = Math.max(0, best - Math.floor(SNIPPET_CHARS * 0.3));
+  let end = Math.min(text.length, start + SNIPPET_CHARS);
+  // Cut on word boundaries
+  if (start > 0) { const sp = text.indexOf(' ', start); start = sp >= 0 && sp < best ? sp + 1 : start; }
+  if (end < text.length) { const sp = text.lastIndexOf(' ', end); end = sp > start ? sp : end; }
+  return (start > 0 ? '… ' : '') + mark(text.slice(start, end), lang, terms) + (end < text.length ? ' …' : '');
+}
+
+/* ------------------------------- Search ------------------------------- */
+
+function createSearch({ posts, defaultLang = 'en' }) {
+  // Required here: lib/posts.js itself requires this module (foldText)
+  const { isPublished, localize, LOCALES } = require('./posts');
+  let cache = { key: null, index: null };
+
+  function indexFor() {
+    const { posts: all, version } = posts.read();
+    const visible = all.filter(p => p && isPublished(p));
+    // Rebuilt when the file changes or a scheduled post goes live
+    const key = `${version} ${visible.map(p => p.id).join(',')}`;
+    if (cache.key !== key) cache = { key, index: buildIndex(visible, localize, defaultLang) };
+    return cache.index;
+  }
+
+  /**
+   * Ranked results for `q`; a post must match every query word (any stemmed form) in one of
+   * its languages. Cards are in `lang` when the post has it, else in the best-matching language.
+   */
+  function search(q, { limit = 20, lang = null } = {}) {
+    const { docs, postings, avgLength } = indexFor();
+    const query = parseQuery(q);
+    if (!query.length) return { total: 0, results: [] };
+
+    const N = docs.length;
+    const scores = new Map(); // doc -> score
+    const matched = new Map(); // doc -> number of query words matched
+    for (const { variants } of query) {
+      const best = new Map(); // doc -> best variant score for this word
+      for (const term of variants) {
+        const tf = postings.get(term);
+        if (!tf) continue;
+        const idf = Math.log(1 + (N - tf.size + 0.5) / (tf.size + 0.5));
+        for (const [d, f] of tf) {
+          const norm = f + BM25.k1 * (1 - BM25.b + BM25.b * docs[d].length / (avgLength || 1));
+          const s = idf * (f * (BM25.k1 + 1)) / norm;
+          if (s > (best.get(d) || 0)) best.set(d, s);
+        }
+      }
+      for (const [d, s] of best) {
+        scores.set(d, (scores.get(d) || 0) + s);
+        matched.set(d, (matched.get(d) || 0) + 1);
+      }
+    }
+
+    // A post scores as its best-matching language
+    const best = new Map(); // post -> [doc, score]
+    for (const [d, score] of scores) {
+      if (matched.get(d) !== query.length) continue;
+      const seen = best.get(docs[d].post);
+      if (!seen || score > seen[1]) best.set(docs[d].post, [d, score]);
+    }
+    const ranked = [...best.values()]
+      .sort((a, b) => b[1] - a[1] || String(docs[b[0]].post.date).localeCompare(String(docs[a[0]].post.date)));
+    const allTerms = new Set(query.flatMap(({ variants }) => [...variants]));
+    const results = ranked.slice(0, limit).map(([d, score]) => {
+      const { post } = docs[d];
+      // Shown in the reader's language when the post has it (highlights from that text)
+      const shown = lang && docs.find(o => o.post === post && o.view.lang === localize(post, lang, defaultLang).lang) || docs[d];
+      const { view, lang: stemLang, body } = shown;
+      const card = Object.fromEntries(CARD_FIELDS.filter(k => view[k] !== undefined).map(k => [k, view[k]]));
+      return {
+        id: post.id,
+        score: Math.round(score * 1000) / 1000,
+        post: card,
+        highlights: {
+          title: mark(String(view.title || ''), stemLang, allTerms),
+          snippet: snippet(body, stemLang, allTerms) || snippet(String(view.excerpt || ''), stemLang, allTerms) || escapeHTML(view.excerpt || '')
+        }
+      };
+    });
+    return { total: ranked.length, results };
+  }
+
+  // GET /api/posts/search?q=&limit=
+  function handler(req, res) {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q || q.length > MAX_QUERY) {
+      return res.status(400).json({ ok: false, error: 'invalid_query', detail: `q must be 1..${MAX_QUERY} characters` });
+    }
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ ok: false, error: 'invalid_limit', detail: 'limit must be an integer 1..100' });
+    }
+    const lang = req.query.lang === undefined ? null : req.query.lang;
+    if (lang !== null && !LOCALES.includes(lang)) {
+      return res.status(400).json({ ok: false, error: 'invalid_lang', detail: `lang must be one of ${LOCALES.join(', ')}` });
+    }
+    try {
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({ ok: true, query: q, ...search(q, { limit, lang }) });
+    } catch (e) {
+      res.status(e.status || 500).json({ ok: false, error: e.code || 'search_failed', detail: e.message });
+    }
+  }
+
+  return { search, handler };
+}
+
+module.exports = { createSearch, analyze, foldText, stem };
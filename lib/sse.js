@@ -0,0 +1,195 @@
+/**
+ * lib/sse.js — Shared Server-Sent Events plumbing for long-running routes.
+ *
+ * Every SSE route goes through here: one-shot work (/scan_ports, /analyze_url) and
+ * open-ended tails (/jobs/:id/stream, /admin/logs/stream, whose producers wait for
+ * stream.signal). A route hands a producer to sse.handler(); the producer gets a stream and
+ * calls stream.send(event, data). Each event:
+ *   - goes out as a named event ("event: progress") whose data also carries
+ *     `type: <event>`, so one client handler can be registered for every name.
+ *     Failures use the name `failed`: "error" would collide with EventSource's own
+ *     connection-error event
+ *   - gets an id "<streamId>:<seq>" and is kept in a replay buffer (config.sse.replaySize)
+ *
+ * Reconnects: EventSource resends the last id it saw as Last-Event-ID. If that stream
+ * is still known, the new connection replays the missed events and follows it live
+ * (a `gap` event reports events that fell out of the buffer). Reconnecting to a
+ * finished stream with nothing missed gets 204, which stops the browser retrying.
+ *
+ * Backpressure: when res.write() returns false the connection waits for 'drain'
+ * before writing more (events stay in the buffer meanwhile); `await stream.send()`
+ * resolves only once the client is keeping up, so async producers slow down with it.
+ *
+ * Cancellation: when the client goes away the stream waits config.sse.reconnectGraceMs
+ * for a reconnect, then aborts stream.signal so the producer can stop its work.
+ *
+ * Exports:
+ *   - createSseHub({ config, log }) -> { handler(producer), stats() }
+ *       producer(stream, req) -> Promise; stream = { id, signal, send(event, data), end() }
+ */
+const crypto = require('crypto');
+
+function createSseHub({ config, log }) {
+  const { heartbeatMs, replaySize, reconnectGraceMs, retainMs, retryMs } = config.sse;
+  const streams = new Map(); // id -> stream
+
+  function parseLastEventId(req) {
+    const m = /^([0-9a-f]{16}):(\d+)$/.exec(req.get('last-event-id') || '');
+    return m ? { id: m[1], seq: Number(m[2]) } : null;
+  }
+
+  /* ---------------------------- Connections ---------------------------- */
+
+  function flush(stream) {
+    const conn = stream.conn;
+    if (!conn || conn.blocked) return;
+    const first = stream.buffer.length ? stream.buffer[0].seq : stream.seq + 1;
+    if (conn.lastSent < first - 1) {
+      conn.res.write(`event: gap\ndata: ${JSON.stringify({ type: 'gap', missed: first - 1 - conn.lastSent })}\n\n`);
+      conn.lastSent = first - 1;
+    }
+    for (let i = conn.lastSent - first + 1; i < stream.buffer.length; i++) {
+      const { seq, frame } = stream.buffer[i];
+      conn.lastSent = seq;
+      if (!conn.res.write(frame)) {
+        conn.blocked = true;
+        conn.res.once('drain', () => { conn.blocked = false; flush(stream); });
+        return;
+      }
+    }
+    wakeWaiters(stream);
+    if (stream.done) conn.res.end();
+  }
+
+  function wakeWaiters(stream) {
+    stream.caughtUp = null;
+    const waiters = stream.waiters.splice(0);
+    for (const resolve of waiters) resolve();
+  }
+
+  function attach(stream, req, res, afterSeq) {
+    if (stream.conn) stream.conn.res.end(); // one live connection per stream
+    clearTimeout(stream.graceTimer);
+
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // hint for nginx to not buffer
+    res.flushHeaders?.();
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const conn = {
+      res,
+      lastSent: afterSeq,
+      blocked: false,
+      // Heartbeat to keep intermediaries from closing idle SSE
+      hb: setInterval(() => { if (!conn.blocked) res.write(': hb\n\n'); }, heartbeatMs)
+    };
+    stream.conn = conn;
+    res.on('close', () => {
+      clearInterval(conn.hb);
+      if (stream.conn !== conn) return;
+      stream.conn = null;
+      wakeWaiters(stream);
+      if (!stream.done) {
+        stream.graceTimer = setTimeout(() => cancel(stream, 'client disconnected'), reconnectGraceMs);
+      }
+    });
+    flush(stream);
+  }
+
+  /* ------------------------------ Streams ------------------------------ */
+
+  function finish(stream) {
+    if (stream.done) return;
+    stream.done = true;
+    clearTimeout(stream.graceTimer);
+    wakeWaiters(stream);
+    flush(stream);
+    // Keep the buffer around a little for late reconnects
+    setTimeout(() => streams.delete(stream.id), retainMs).unref();
+  }
+
+  function cancel(stream, reason) {
+    if (stream.done) return;
+    log.info(`SSE ${stream.path} ${stream.id} cancelled: ${reason}`);
+    stream.controller.abort(new Error(reason));
+    finish(stream);
+  }
+
+  function createStream(path) {
+    const controller = new AbortController();
+    const stream = {
+      id: crypto.randomBytes(8).toString('hex'),
+      path,
+      seq: 0,
+      buffer: [], // { seq, frame }, contiguous seqs
+      waiters: [],
+      caughtUp: null,
+      conn: null,
+      done: false,
+      graceTimer: null,
+      controller,
+      signal: controller.signal
+    };
+
+    /** Queue one event; resolves once the client has caught up (or is gone). */
+    stream.send = (event, data = {}) => {
+      if (stream.done) return Promise.resolve();
+      const seq = ++stream.seq;
+      const frame = `id: ${stream.id}:${seq}\nevent: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`;
+      stream.buffer.push({ seq, frame });
+      if (stream.buffer.length > replaySize) stream.buffer.shift();
+      flush(stream);
+      if (!stream.conn || !stream.conn.blocked) return Promise.resolve();
+      // One promise for every send made while blocked: producers that don't await (live tails) don't pile up waiters
+      if (!stream.caughtUp) stream.caughtUp = new Promise((resolve) => stream.waiters.push(resolve));
+      return stream.caughtUp;
+    };
+    stream.end = () => finish(stream);
+
+    streams.set(stream.id, stream);
+    return stream;
+  }
+
+  /**
+   * Express handler running `producer` for a new stream, or resuming the stream
+   * named by Last-Event-ID. A producer error becomes a `failed` event; the stream
+   * ends when the producer settles.
+   */
+  function handler(producer) {
+    return (req, res) => {
+      const last = parseLastEventId(req);
+      const known = last && streams.get(last.id);
+      if (known && known.path === req.path) {
+        if (known.done && last.seq >= known.seq) return res.status(204).end();
+        log.info(`SSE ${req.path} ${known.id} resumed after event ${last.seq}`);
+        return attach(known, req, res, last.seq);
+      }
+
+      const stream = createStream(req.path);
+      attach(stream, req, res, 0);
+      Promise.resolve()
+        .then(() => producer(stream, req))
+        .catch((e) => {
+          if (stream.signal.aborted) return;
+          log.error(`SSE ${req.path} ${stream.id} failed: ${e.message || e}`);
+          return stream.send('failed', { error: e.code || 'stream_failed', message: String(e.message || e), detail: String(e.message || e) });
+        })
+        .finally(() => finish(stream));
+    };
+  }
+
+  function stats() {
+    const all = [...streams.values()];
+    return {
+      streams: all.length,
+      running: all.filter(s => !s.done).length,
+      connected: all.filter(s => s.conn).length
+    };
+  }
+
+  return { handler, stats };
+}
+
+module.exports = { createSseHub };
@@ -0,0 +1,313 @@
+/**
+ * lib/static_build.js — Static page per blog post, plus sitemap.xml and robots.txt.
+ *
+ * post.html renders a post in the browser, so crawlers and link previews only see its
+ * generic head. The build writes <config.build.outDir>/<slug>.html for every post: the
+ * post.html layout with the article already in place and a head carrying <title>,
+ * meta description, OpenGraph / Twitter cards, the canonical URL and JSON-LD Article
+ * markup. Relative links of the layout and the post are re-rooted for the subdirectory.
+ *
+ * Incremental: each page's input hash (post, post.html, site settings, this builder)
+ * is kept in config.build.manifest; unchanged posts whose page exists are skipped and
+ * pages of deleted or unpublished posts are removed. --force rebuilds everything.
+ * A post's former slugs (previousSlugs) get a small page redirecting to the current one.
+ *
+ * Only isPublished() posts (lib/posts.js) get a page or a sitemap entry: a scheduled
+ * post appears with the first build after its publishAt.
+ *
+ * The server renders the same pages on request at /posts/<slug> (lib/post_pages.js).
+ *
+ * A page is in the post's own language (post.lang) and lists its translations as hreflang
+ * alternates (<page>?lang=<xx>), in the head and in the sitemap.
+ *
+ * Canonical URLs and the sitemap are absolute, so config.site.baseUrl (SITE_URL) is required.
+ *
+ * Exports:
+ *   - buildSite({ config, force? }) -> { built: [id], skipped: [id], removed: [file], sitemap, robots }
+ *   - renderPostPage(post, { template, site, pageUrl, depth, preview?, alternates? }) -> html
+ *   - alternatesOf(post, pageUrl, defaultLang) -> [{ lang, href }]  (hreflang links, sitemap)
+ *
+ * CLI:
+ *   npm run build [-- --force]      (node lib/static_build.js [--force])
+ *   SITE_URL=https://example.org npm run build     when the config file has no site.baseUrl
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sanitizeHTML, sanitizeURL } = require('../js/sanitize_html');
+const { isPublished, localize, withSlugs } = require('./posts');
+
+const DEFAULT_IMAGE = 'assets/og-cover.png';
+// Never worth crawling: APIs, admin and editing pages
+const DISALLOW = ['/api/', '/admin/', '/manage_posts.html', '/members_page.html', '/admin_logs.html', '/admin_comments.html', '/admin_newsletter.html'];
+// The few words of the article header, per post language (js/blog_render_posts.js I18N has the rest)
+const LABELS = { en: { by: 'By', essay: 'Essay' }, fr: { by: 'Par', essay: 'Essai' } };
+
+const escapeHTML = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+const isRelative = (url) => url !== '' && !/^([a-z][\w+.-]*:|\/|#|\?)/i.test(url);
+
+function writeAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/** Writes only when the content differs; returns true when written. */
+function writeIfChanged(file, content) {
+  try {
+    if (fs.readFileSync(file, 'utf8') === content) return false;
+  } catch { }
+  writeAtomic(file, content);
+  return true;
+}
+
+/* ------------------------------- Render ------------------------------- */
+
+// Same query strings as viewHref() in js/blog_render_posts.js
+const archiveHref = (kind, value) => `blog.html?${new URLSearchParams({ [kind]: value })}`;
+
+/** The article as js/blog_render_posts.js articleHTML(p, true) renders it. */
+function articleHTML(p, site) {
+  const label = LABELS[p.lang] || LABELS.en;
+  const cover = sanitizeURL(p.cover);
+  const tags = (p.tags || []).map(t => `<a href="${escapeHTML(archiveHref('tag', t))}" class="label label-tag" data-view>#${escapeHTML(t)}</a>`);
+  const body = p.html ? sanitizeHTML(p.html).html : `<p>${escapeHTML(p.excerpt)}</p>`;
+  return `
+    <header class="prose">
+      <p class="meta">${escapeHTML(p.date)} • ${escapeHTML(p.readingTime || '5 min')} • ${p.category
+        ? `<a href="${escapeHTML(archiveHref('category', p.category))}">${escapeHTML(p.category)}</a>` : label.essay}</p>
+      <h1>${escapeHTML(p.title)}</h1>
+      ${cover ? `<img src="${escapeHTML(cover)}" alt="">` : ''}
+      <p class="meta">${label.by} ${escapeHTML(site.author)}</p>
+      ${tags.length ? `<p class="labels">${tags.join(' ')}</p>` : ''}
+    </header>
+    <div class="prose">
+      ${body}
+    </div>
+  `;
+}
+
+// One line, cut on a word boundary around the length search results show
+function summary(text, max = 200) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  if (flat.length <= max) return flat;
+  const cut = flat.slice(0, max - 1);
+  return cut.slice(0, cut.lastIndexOf(' ') > max / 2 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,;:.]+$/, '') + '…';
+}
+
+function previewBanner(p) {
+  const when = p.publishAt ? ` — publication ${escapeHTML(p.publishAt.replace('T', ' ').replace(/:\d{2}(\.\d+)?Z$/, ' UTC'))}` : '';
+  return `
+    <p class="preview-banner" role="note">Preview: this post is <strong>${escapeHTML(p.status || 'published')}</strong>${when}. It is not public; do not share this link widely.</p>`;
+}
+
+/**
+ * The post's URL in each of its languages, own language first: /posts/<slug> for that one,
+ * /posts/<slug>?lang=<xx> for a translation (lib/post_pages.js serves it; on a static host
+ * js/blog_render_posts.js swaps the translation in).
+ */
+function alternatesOf(post, pageUrl, defaultLang) {
+  const own = post.lang || defaultLang;
+  return [own, ...Object.keys(post.translations || {}).filter(l => l !== own)]
+    .map(lang => ({ lang, href: lang === own ? pageUrl : `${pageUrl}?lang=${lang}` }));
+}
+
+/** <head> tags for search engines and link previews. */
+function headHTML(p, { site, pageUrl, imageUrl, preview, alternates }) {
+  const lang = p.lang || site.language;
+  const description = summary(p.excerpt || site.description);
+  const title = `${p.title} — ${site.title}`;
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: String(p.title).slice(0, 110),
+    description,
+    datePublished: p.date,
+    dateModified: p.date,
+    author: { '@type': 'Person', name: site.author },
+    image: [imageUrl],
+    url: pageUrl,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': pageUrl },
+    inLanguage: lang,
+    ...(p.category ? { articleSection: p.category } : {}),
+    ...(p.tags?.length ? { keywords: p.tags.join(', ') } : {})
+  };
+  const meta = (attr, name, content) => `    <meta ${attr}="${name}" content="${escapeHTML(content)}">`;
+  return [
+    `    <title>${escapeHTML(title)}</title>`,
+    meta('name', 'description', description),
+    ...(preview ? [meta('name', 'robots', 'noindex')] : []),
+    `    <link rel="canonical" href="${escapeHTML(pageUrl)}">`,
+    // hreflang: every language of the post, the post's own language as the default
+    ...(alternates.length > 1 ? [...alternates, { lang: 'x-default', href: alternates[0].href }]
+      .map(a => `    <link rel="alternate" hreflang="${a.lang}" href="${escapeHTML(a.href)}">`) : []),
+    meta('property', 'og:type', 'article'),
+    meta('property', 'og:site_name', site.title),
+    meta('property', 'og:title', p.title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', pageUrl),
+    meta('property', 'og:image', imageUrl),
+    meta('property', 'og:locale', lang),
+    meta('property', 'article:published_time', p.date),
+    ...(p.category ? [meta('property', 'article:section', p.category)] : []),
+    ...(p.tags || []).map(t => meta('property', 'article:tag', t)),
+    meta('name', 'twitter:card', 'summary_large_image'),
+    meta('name', 'twitter:title', p.title),
+    meta('name', 'twitter:description', description),
+    meta('name', 'twitter:image', imageUrl),
+    // "<" escaped so the post's text can never close the script element
+    `    <script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`
+  ].join('\n');
+}
+
+/**
+ * post.html with the post's head and article filled in. depth = directory levels
+ * between the page and the site root (relative URLs get that many "../").
+ * preview: an unpublished post opened through a preview link (noindex + a banner).
+ * p is the post as shown (localize()); alternates: alternatesOf() for its hreflang links.
+ */
+function renderPostPage(p, { template, site, pageUrl, depth, preview = false, alternates = [] }) {
+  const cover = sanitizeURL(p.cover);
+  const siteRoot = new URL('../'.repeat(depth) || './', pageUrl);
+  const imageUrl = new URL(cover || DEFAULT_IMAGE, siteRoot).href;
+  let html = template
+    .replace(/<html lang="[^"]*">/, `<html lang="${escapeHTML(p.lang || site.language)}">`)
+    // Generic tags of the template, replaced by the post's own
+    .replace(/[ \t]*<!-- Basic Open Graph[^>]*-->\r?\n/, '')
+    .replace(/[ \t]*<meta (?:name="description"|property="og:[^"]*")[^>]*>\r?\n/g, '')
+    .replace(/[ \t]*<title>[^<]*<\/title>/, () => headHTML(p, { site, pageUrl, imageUrl, preview, alternates }))
+    .replace(/[ \t]*<!-- JS will render[^>]*-->\r?\n/, '')
+    // Already rendered: blog_render_posts.js must not look for ?id=, only load the comments and
+    // swap in the reader's translation (data-root: the way back to the site root for its links)
+    .replace(/data-page="post"/, `data-page="post-static" data-post-id="${escapeHTML(String(p.id))}" data-root="${'../'.repeat(depth)}"`)
+    .replace(/(<article id="post"[^>]*>)[\s\S]*?(<\/article>)/, (m, open, close) => open + (preview ? previewBanner(p) : '') + articleHTML(p, site) + close);
+
+  const up = '../'.repeat(depth);
+  html = html.replace(/ (href|src|cite)="([^"]*)"/g, (m, attr, url) => (isRelative(url) ? ` ${attr}="${up}${url}"` : m));
+  return html;
+}
+
+/** Stand-in for a former slug: canonical + refresh to the current URL. */
+function redirectPage(url) {
+  const href = escapeHTML(url);
+  return `<!doctype html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Moved</title>
+    <link rel="canonical" href="${href}">
+    <meta name="robots" content="noindex">
+    <meta http-equiv="refresh" content="0; url=${href}">
+</head>
+<body>
+    <p>This post has moved to <a href="${href}">${href}</a>.</p>
+</body>
+</html>
+`;
+}
+
+/* ------------------------------- Build -------------------------------- */
+
+function buildSite({ config, force = false }) {
+  const site = config.site;
+  if (!site.baseUrl) throw new Error('config.site.baseUrl is required (or run SITE_URL=https://your.site npm run build): canonical URLs and the sitemap are absolute');
+  const rootDir = config.meta.rootDir;
+  const base = site.baseUrl.replace(/\/+$/, '');
+  const outDir = path.join(rootDir, config.build.outDir);
+  const depth = config.build.outDir.split('/').length;
+  const template = fs.readFileSync(path.join(rootDir, 'post.html'), 'utf8').replace(/^\uFEFF/, '');
+  const posts = withSlugs(JSON.parse(fs.readFileSync(config.posts.file, 'utf8').replace(/^\uFEFF/, '')));
+
+  let manifest = {};
+  try { manifest = JSON.parse(fs.readFileSync(config.build.manifest, 'utf8')).pages || {}; } catch { }
+  // Anything that changes every page: layout, site settings, the builder and sanitizer themselves
+  const shared = sha256([
+    template,
+    JSON.stringify(site),
+    config.build.outDir,
+    fs.readFileSync(__filename, 'utf8'),
+    fs.readFileSync(require.resolve('../js/sanitize_html'), 'utf8')
+  ].join('\0'));
+
+  const result = { built: [], skipped: [], removed: [], sitemap: false, robots: false };
+  const pages = {}; // file (relative to the site root) -> input hash
+  const urls = [{ loc: `${base}/` }, { loc: `${base}/blog.html` }];
+
+  /** Writes `file` unless its hash is unchanged and it still exists. */
+  function emit(name, hash, render) {
+    const file = path.join(outDir, name);
+    const rel = path.relative(rootDir, file).split(path.sep).join('/');
+    pages[rel] = hash;
+    if (!force && manifest[rel] === hash && fs.existsSync(file)) return false;
+    writeAtomic(file, render());
+    return true;
+  }
+
+  for (const p of Array.isArray(posts) ? posts : []) {
+    if (!p || p.id === undefined || !p.title || !/^\d{4}-\d{2}-\d{2}$/.test(p.date || '')) continue;
+    if (!isPublished(p)) continue; // its page, if any, is removed below
+    // /posts/<slug> (static hosts map it to <slug>.html)
+    const pageUrl = `${base}/${config.build.outDir}/${p.slug}`;
+    const hash = sha256(shared + JSON.stringify(p));
+    // The page is in the post's own language; translations are ?lang= on the same page
+    const alternates = alternatesOf(p, pageUrl, site.language);
+    urls.push(...alternates.map(a => ({ loc: a.href, lastmod: p.date, alternates })));
+    const view = localize(p, p.lang || site.language, site.language);
+    if (emit(`${p.slug}.html`, hash, () => renderPostPage(view, { template, site, pageUrl, depth, alternates }))) result.built.push(p.id);
+    else result.skipped.push(p.id);
+    // Former slugs: a small page pointing at the current one (a static host cannot answer 301)
+    for (const old of p.previousSlugs || []) {
+      emit(`${old}.html`, sha256(`${hash} ${old}`), () => redirectPage(pageUrl));
+    }
+  }
+
+  // Pages no post needs any more
+  for (const rel of Object.keys(manifest)) {
+    if (pages[rel]) continue;
+    const file = path.resolve(rootDir, rel);
+    if (!file.startsWith(outDir + path.sep)) continue;
+    try {
+      fs.unlinkSync(file);
+      result.removed.push(rel);
+    } catch { }
+  }
+
+  result.sitemap = writeIfChanged(path.join(rootDir, 'sitemap.xml'), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls.map(u => `  <url><loc>${escapeHTML(u.loc)}</loc>${u.lastmod ? `<lastmod>${u.lastmod}</lastmod>` : ''}` +
+      (u.alternates?.length > 1 ? u.alternates.map(a => `<xhtml:link rel="alternate" hreflang="${a.lang}" href="${escapeHTML(a.href)}"/>`).join('') : '') +
+      '</url>'),
+    '</urlset>',
+    ''
+  ].join('\n'));
+  result.robots = writeIfChanged(path.join(rootDir, 'robots.txt'), [
+    'User-agent: *',
+    ...DISALLOW.map(p => `Disallow: ${p}`),
+    '',
+    `Sitemap: ${base}/sitemap.xml`,
+    ''
+  ].join('\n'));
+
+  writeAtomic(config.build.manifest, JSON.stringify({ builtAt: new Date().toISOString(), pages }, null, 2) + '\n');
+  return result;
+}
+
+module.exports = { buildSite, renderPostPage, alternatesOf };
+
+/* -------------------------------- CLI --------------------------------- */
+
+if (require.main === module) {
+  const { loadConfig } = require('./config');
+  try {
+    const config = loadConfig();
+    const r = buildSite({ config, force: process.argv.includes('--force') });
+    console.log(`${config.build.outDir}/: ${r.built.length} built, ${r.skipped.length} unchanged, ${r.removed.length} removed` +
+      `; sitemap.xml ${r.sitemap ? 'written' : 'unchanged'}, robots.txt ${r.robots ? 'written' : 'unchanged'}`);
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
@@ -1,7 +1,7 @@
 // server.js
 // Recreated server with all previous endpoints and added ports scan endpoints.
 // - Serves /public static files
-// - Existing endpoints preserved (clientlog, admin, run_python, run_exe, etc.)
+// - Existing endpoints preserved (admin, run_python, run_exe, etc.); POST /clientlog takes batched browser events
 // - New: GET /scan_ports?max=65535  -> returns JSON list (one-shot)
 // - New: GET /scan?max=65535        -> Server-Sent Events (progress + final data)
 //
@@ -11,12 +11,32 @@
 //
 // Notes:
 //   - This file expects js/syslib_ports.js to export { scanPorts, splitHostPort }
-//   - SSE endpoint uses heartbeat and X-Accel-Buffering header to reduce proxy timeouts.
+//   - Every SSE route (/scan_ports, /analyze_url, /jobs/:id/stream, /admin/logs/stream) goes through
+//     lib/sse.js: named events with ids, replay on reconnect (Last-Event-ID), backpressure, and
+//     cancellation when the client goes away.
+//   - Python scripts run as background jobs (lib/jobs.js, /jobs routes).
+//   - Logging: js/mkLogger.js levels, JSON lines, rotating file (config.logging); req.log per request.
+//     Recent records are browsable at admin_logs.html (lib/logbuffer.js, /admin/logs).
+//   - Scan/analyze endpoints are rate limited, capped and briefly cached (lib/limiter.js, /admin/limits).
+//   - manage_posts.html edits assets/posts/posts.json through /api/posts (lib/posts.js);
+//     Markdown bodies are rendered to html on save (lib/markdown.js); every save is kept as a
+//     revision (lib/revisions.js, config.posts.revisions) that can be diffed and restored.
+//   - Posts live at /posts/<slug> (lib/post_pages.js); post.html?id= links 301 there.
+//     Only published posts are public (status/publishAt); drafts get signed preview links.
+//   - /feed.xml, /atom.xml, /feed.json are generated from the posts (lib/feeds.js, config.site).
+//   - /api/posts/search: BM25 full-text search over the posts (lib/search.js), public.
+//   - /api/comments: reader comments, held for moderation in admin_comments.html (lib/comments.js).
+//   - /api/newsletter: double opt-in subscriptions and post digests, composed in admin_newsletter.html
+//     (lib/newsletter.js); mail goes out over SMTP or to a file outbox (lib/mailer.js, config.mail).
+//   - npm run build writes static pages per post + sitemap.xml + robots.txt (lib/static_build.js),
+//     served from the site root like any other file.
+//   - Paths, interpreter, port and timeouts come from lib/config.js
+//     (config/server.config.json + env overrides). See config/server.config.example.json.
 
 const path = require('path');
 const fs = require('fs');
 const express = require('express');
-const { spawn, execFile } = require('child_process');
+const { spawn } = require('child_process');
 
 // Logger: prefer your custom logger, fallback to console with similar API
 let log;
@@ -39,32 +59,95 @@ try {
         ok: (m) => console.log(`[OK] ${tag}: ${m}`),
         step: (t, o) => console.log(`[STEP] ${tag}: ${t}`, o ?? ''),
         banner: (a, b) => console.log(`==== ${a} :: ${b} ====`),
+        debug: () => { },
+        info: (m) => console.log(`[INFO] ${tag}: ${m}`),
         warn: (m) => console.warn(`[WARN] ${tag}: ${m}`),
         error: (m) => console.error(`[ERR] ${tag}: ${m}`),
         clientlog: (m) => console.log(`[CLIENT] ${tag}: ${m}`),
-        section: (s) => console.log(`\n---- ${s} ----`)
+        section: (s) => console.log(`\n---- ${s} ----`),
+        child: () => log,
+        requestLogger: () => (req, _res, next) => { req.log = log; next(); }
     };
 }
 
+// Load and validate configuration before any route depends on it
+const { loadConfig, maskSecrets, ConfigError } = require('./lib/config');
+let config;
+try {
+    config = loadConfig();
+    log.configure?.(config.logging);
+    log.ok(`Configuration loaded from ${config.meta.source || 'defaults'}`);
+    for (const o of config.meta.overrides) log.info(`Config override: ${o.path} <- $${o.env}`);
+} catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    log.error(e.message);
+    process.exit(1);
+}
+
 // Create express server instance
 const server = express();
 
+// Request counts / latency per route for /metrics (lib/metrics.js)
+const { createMetrics } = require('./lib/metrics');
+const metrics = createMetrics();
+server.use(metrics.middleware());
+
+// Request ids, req.log (child logger) and one log line per request
+server.use(log.requestLogger({ access: config.logging.requests }));
+
+// Recent log records (server + /clientlog) kept for admin_logs.html
+const { createLogBuffer, logRoutes } = require('./lib/logbuffer');
+const logBuffer = createLogBuffer({ config });
+log.onRecord?.(logBuffer.push);
+
+// Shared SSE streams (event ids, named events, Last-Event-ID replay, backpressure, cancel on disconnect)
+const { createSseHub } = require('./lib/sse');
+const sse = createSseHub({ config, log });
+
 // Parse JSON/forms
 server.use(express.json({ limit: '1mb' }));
 server.use(express.urlencoded({ extended: true }));
 
+// Never serve server-side folders through the static handlers below
+const PRIVATE_DIRS = ['config', 'data', 'lib', 'node_modules'];
+server.use((req, res, next) => {
+    let first = '';
+    try { first = decodeURIComponent(req.path).split(/[\\/]/).filter(Boolean)[0] || ''; } catch { }
+    if (PRIVATE_DIRS.includes(first.toLowerCase())) return res.sendStatus(404);
+    next();
+});
+
+// Member sessions: resolve the cookie, then guard member-only pages before static serving
+const { createAuth } = require('./lib/auth');
+const auth = createAuth({ config, log });
+server.use(auth.attachSession);
+
+// Role checks (viewer < operator < admin) for the routes listed in lib/rbac.js + config.access.permissions
+const { createAccessControl } = require('./lib/rbac');
+const access = createAccessControl({ config, log });
+server.use(access.authorize);
+server.use(auth.requireMember);
+server.post('/login', auth.login);
+server.post('/logout', auth.logout);
+server.get('/api/session', auth.session);
+
+// Blog post pages: /posts/<slug> rendered on request; post.html?id= and former slugs 301 there.
+// Ahead of the static handlers so neither post.html nor a stale built page answers first.
+const { createPostStore, postRoutes } = require('./lib/posts');
+const { createRevisionStore } = require('./lib/revisions');
+const posts = createPostStore({ config, log, revisions: createRevisionStore({ config, log }) });
+const { createPostPages } = require('./lib/post_pages');
+const postPages = createPostPages({ config, log, posts });
+server.get('/post.html', postPages.legacy);
+server.get(`/${config.build.outDir}/:slug`, postPages.page);
+// posts.json as the blog pages see it: drafts, scheduled and archived posts left out
+server.use(postPages.publicList);
+
 // Serve static files from public and project root (extension resolution)
 server.use(express.static(path.join(__dirname, 'public')));
 server.use(express.static(__dirname, { extensions: ['html'] }));
 
 // ----------------- Existing routes (preserved) --------------------------------
-// /clientlog
-server.get('/clientlog', (req, res) => {
-    const msg = req.query.msg || '(vide)';
-    log.clientlog(msg);
-    return res.sendStatus(200);
-});
-
 // /nothing
 server.get('/nothing', (req, res) => {
     log.section('/nothing');
@@ -86,139 +169,161 @@ server.get('/admin/console/clear', (_req, res) => {
     res.json({ ok: true });
 });
 
-// /runPythonExec
-function runPythonExec(scriptPath, cb) {
-    // -u = unbuffered (flushes prints), helps reduce chunking issues
-    const cmd = `"C:\\Python\\Python313\\python.exe" -u "${scriptPath}"`;
-
-    exec(cmd, {
-        cwd: __dirname,
-        windowsHide: true,
-        // increase buffer to 64MB (adjust if needed)
-        maxBuffer: 64 * 1024 * 1024
-    }, (err, stdout, stderr) => {
-        if (err) return cb(err);
-        cb(null, { stdout, stderr });
-    });
-}
-// /run_python filepath
-server.post('/run_python', (req, res) => {
-    log.section('/run_python');
-    // const scriptPath = 'C:/MyProjects/VS Studio Projects/MyCellsSim/MyCellsSim.py';
-    const PYTHON_EXE = 'C:/Users/miche/AppData/Local/Programs/Python/Python312/python.exe';
-    const PYTHON_CMD = process.env.PYTHON_CMD || 'python';
-    const scriptPath = `C:/MyProjects/VS Studio Projects/MyCellsSim/MyCellsSim.py`;
-    log.ok(`${PYTHON_CMD} ${scriptPath}`);
-
-    const py = spawn(PYTHON_EXE, ['-u', scriptPath], {
-            cwd: __dirname,
-            windowsHide: true
-        });
-
-    let stdoutData = '';
-    let stderrData = '';
-    let responded = false;
-
-    // Single-exit responder
-    const safeReply = (status, body) => {
-        if (responded) return;
-        responded = true;
-        if (!res.headersSent) res.status(status).json(body);
-        // Ensure no more output arrives after we’ve replied
-        try { py.kill('SIGTERM'); } catch { }
-    };
+// /admin/logs, /admin/logs/stream (query + live tail of logBuffer)
+server.use('/admin/logs', logRoutes(logBuffer, { sse }));
 
-    // If client disconnects, stop the child to avoid late writes
-    req.on('aborted', () => {
-        log.warn('Client aborted request; killing python process.');
-        try { py.kill('SIGTERM'); } catch { }
+// /admin/config (read-only, secrets masked)
+server.get('/admin/config', (_req, res) => {
+    res.json({
+        source: config.meta.source,
+        overrides: config.meta.overrides,
+        config: maskSecrets(config)
     });
+});
 
-    py.stdout.setEncoding('utf8');
-    py.stderr.setEncoding('utf8');
-
-    py.stdout.on('data', chunk => { stdoutData += chunk; });
-    py.stderr.on('data', chunk => { stderrData += chunk; });
-
-    // Use .once so we don’t fire twice
-    py.once('error', (err) => {
-        log.err(`Python spawn error: ${err.message}`);
-        safeReply(500, { error: 'python_spawn_error', detail: err.message });
-    });
+// Rate limits / concurrency caps / short caching for the scan endpoints (lib/limiter.js)
+const { createLimits } = require('./lib/limiter');
+const limits = createLimits({ config, log });
+server.get('/admin/limits', (_req, res) => res.json({ limits: limits.stats() }));
+
+// Browser log events from js/sendLog.js: POST /clientlog (batches), GET /admin/clientlogs (query)
+const { createClientLog, clientLogRoutes } = require('./lib/clientlog');
+const clientLogRouter = clientLogRoutes(createClientLog({ config, log }), { config });
+server.post('/clientlog', limits.guard('POST /clientlog'), clientLogRouter.ingest);
+server.get('/admin/clientlogs', clientLogRouter.query);
+
+// Blog posts (manage_posts.html): CRUD + reorder on assets/posts/posts.json, If-Match versioned
+// Public full-text search (blog.html search box); registered before the admin-only router
+const { createSearch } = require('./lib/search');
+const search = createSearch({ posts, defaultLang: config.site.language });
+server.get('/api/posts/search', search.handler);
+server.post('/api/posts/:id/preview-link', postPages.previewLink);
+server.use('/api/posts', postRoutes(posts));
+
+// Public feeds built from the same posts: RSS 2.0, Atom, JSON Feed
+const { createFeeds } = require('./lib/feeds');
+const feeds = createFeeds({ config, posts });
+server.get('/feed.xml', feeds.rss);
+server.get('/atom.xml', feeds.atom);
+server.get('/feed.json', feeds.json);
+
+// Reader comments under the posts: public read + rate-limited posting, moderation queue for admins
+// (lib/comments.js, admin_comments.html)
+const { createCommentStore, commentRoutes } = require('./lib/comments');
+const comments = commentRoutes(createCommentStore({ config, log, posts }), { log });
+server.get('/api/comments', comments.list);
+server.post('/api/comments', limits.guard('POST /api/comments'), comments.add);
+server.get('/admin/comments', comments.queue);
+server.put('/admin/comments/:post/:id', comments.moderate);
+
+// Newsletter: double opt-in subscribe / confirm / unsubscribe, subscriber list + CSV and digests
+// for admins (lib/newsletter.js, admin_newsletter.html)
+const { createMailer } = require('./lib/mailer');
+const { createNewsletter, newsletterRoutes } = require('./lib/newsletter');
+const newsletter = newsletterRoutes(createNewsletter({ config, log, posts, mailer: createMailer({ config, log }) }), { config, log });
+server.post('/api/newsletter/subscribe', limits.guard('POST /api/newsletter/subscribe'), newsletter.subscribe);
+server.get('/api/newsletter/confirm', newsletter.confirm);
+server.get('/api/newsletter/unsubscribe', newsletter.unsubscribe);
+server.post('/api/newsletter/unsubscribe', newsletter.unsubscribe);
+server.get('/admin/newsletter/subscribers', newsletter.subscribers);
+server.get('/admin/newsletter/subscribers.csv', newsletter.csv);
+server.get('/admin/newsletter/digest', newsletter.digest);
+server.post('/admin/newsletter/digest', newsletter.sendDigest);
+
+// Look up an allowlisted script by name; replies 404 and returns null when missing
+function configuredScript(res, name) {
+    const scriptPath = Object.hasOwn(config.python.scripts, name) ? config.python.scripts[name] : null;
+    if (!scriptPath) {
+        res.status(404).json({ error: 'script_not_configured', detail: `python.scripts.${name} is not set` });
+        return null;
+    }
+    return scriptPath;
+}
+// Background jobs for allowlisted scripts: POST /jobs, GET /jobs/:id, /jobs/:id/stream, DELETE /jobs/:id
+const { createJobRunner, jobRoutes } = require('./lib/jobs');
+const jobs = createJobRunner({ config, log });
+server.use('/jobs', jobRoutes(jobs, { config, sse }));
+metrics.addChildCollector(() => ({ job: jobs.list().filter(j => j.status === 'running').length }));
 
-    py.once('close', (code, signal) => {
-        log.ok(`Python exited code=${code} signal=${signal ?? 'null'}`);
-        const ok = code === 0;
-        safeReply(200, { ok, code, signal: signal ?? null, stdout: stdoutData.trim(), stderr: stderrData.trim() });
+/**
+ * Run an allowlisted script as a job and wait for it (for the older blocking endpoints).
+ * Resolves { job, stdout, stderr }, or null after replying 404 when the script is not configured.
+ */
+async function runScriptJob(req, res, name) {
+    if (!configuredScript(res, name)) return null;
+    const job = jobs.start(name);
+    // If client disconnects, stop the job to avoid late writes
+    req.on('aborted', () => {
+        log.warn(`Client aborted request; cancelling job ${job.id}.`);
+        jobs.cancel(job.id);
     });
+    const done = await job.done;
+    const text = (stream) => done.output.filter(l => l.stream === stream).map(l => l.text).join('\n').trim();
+    return { job: done, stdout: text('stdout'), stderr: text('stderr') };
+}
 
+// Reply with the JSON object a script printed on stdout (used by _v0 and the snippet generator)
+function replyScriptJson(res, run) {
+    if (!run) return;
+    if (run.job.status !== 'succeeded') {
+        log.error(`Python error (job ${run.job.id}): ${run.job.error?.message || run.stderr}`);
+        return res.status(500).json({ error: 'python_exec_failed', detail: run.job.error || run.stderr, jobId: run.job.id });
+    }
+    try {
+        const payload = JSON.parse(run.stdout); // expects JSON from Python
+        if (!payload || typeof payload !== 'object') throw new Error('Invalid JSON from Python');
+        return res.json(payload);
+    } catch (parseErr) {
+        log.error(`JSON parse error: ${parseErr.message} stdout=${run.stdout.slice(0, 200)}`);
+        return res.status(500).json({ error: 'invalid_json_from_python', jobId: run.job.id });
+    }
+}
 
-    log.ok('Python script execution initiated');
-});
-
-// /run_python _v0
-server.post('/run_python_v0', (req, res) => {
+// /run_python
+server.post('/run_python', async (req, res) => {
     log.section('/run_python');
-    const PYTHON_CMD = process.env.PYTHON_CMD || 'python';
-    const scriptPath = `C:/MyProjects/VS Studio Projects/MyCellsSim/MyCellsSim.py`;
-
-    log.ok(`Executing Python script: ${scriptPath} with ${PYTHON_CMD}`);
-
-    execFile(
-        PYTHON_CMD,
-        [scriptPath],
-        { windowsHide: true, cwd: __dirname, maxBuffer: 1024 * 1024 },
-        (err, stdout, stderr) => {
-            if (err) {
-                console.error('Python error:', err, stderr);
-                return res.status(500).json({ error: 'python_exec_failed', detail: String(err) });
-            }
-            try {
-                const payload = JSON.parse(stdout.trim()); // expects JSON from Python
-                if (typeof payload !== 'object') throw new Error('Invalid JSON from Python');
-                return res.json(payload);
-            } catch (parseErr) {
-                console.error('JSON parse error:', parseErr, 'stdout=', stdout);
-                return res.status(500).json({ error: 'invalid_json_from_python' });
-            }
+    try {
+        const run = await runScriptJob(req, res, 'mycellsim');
+        if (!run || res.headersSent) return;
+        const { job } = run;
+        if (job.error?.code === 'timeout') {
+            return res.status(504).json({ error: 'python_timeout', detail: job.error, jobId: job.id, stdout: run.stdout, stderr: run.stderr });
         }
-    );
+        if (job.error) return res.status(500).json({ error: job.error.code, detail: job.error, jobId: job.id, stdout: run.stdout, stderr: run.stderr });
+        res.json({ ok: job.exitCode === 0, code: job.exitCode, signal: job.signal, stdout: run.stdout, stderr: run.stderr, jobId: job.id });
+    } catch (err) {
+        log.error(`/run_python failed: ${err.message}`);
+        if (!res.headersSent) res.status(500).json({ error: 'python_spawn_error', detail: err.message });
+    }
+});
 
-    log.ok('Python script execution initiated');
+// /run_python _v0
+server.post('/run_python_v0', async (req, res) => {
+    log.section('/run_python_v0');
+    try {
+        replyScriptJson(res, await runScriptJob(req, res, 'mycellsim'));
+    } catch (err) {
+        if (!res.headersSent) res.status(500).json({ error: 'python_exec_failed', detail: err.message });
+    }
 });
 
 // /run_python_hacker_snippet
-server.post('/run_python_hacker_snippet', (req, res) => {
+server.post('/run_python_hacker_snippet', async (req, res) => {
     log.ok('/run_python_hacker_snippet');
-    const PYTHON_CMD = process.env.PYTHON_CMD || 'python';
-    const scriptPath = path.resolve(__dirname, 'js', 'hacker_terminal_snippet.py');
-
-    execFile(
-        PYTHON_CMD,
-        [scriptPath],
-        { windowsHide: true, cwd: __dirname, maxBuffer: 1024 * 1024 },
-        (err, stdout, stderr) => {
-            if (err) {
-                console.error('Python error:', err, stderr);
-                return res.status(500).json({ error: 'python_exec_failed', detail: String(err) });
-            }
-            try {
-                const payload = JSON.parse(stdout.trim());
-                return res.json(payload);
-            } catch (parseErr) {
-                console.error('JSON parse error:', parseErr, 'stdout=', stdout);
-                return res.status(500).json({ error: 'invalid_json_from_python' });
-            }
-        }
-    );
-
-    log.ok('Python snippet execution initiated');
+    try {
+        replyScriptJson(res, await runScriptJob(req, res, 'hacker_snippet'));
+    } catch (err) {
+        if (!res.headersSent) res.status(500).json({ error: 'python_exec_failed', detail: err.message });
+    }
 });
 
 // /run_exe
 server.post('/run_exe', (req, res) => {
     log.section('/run_exe');
-    const exePath = 'C:/Users/miche/OneDrive/My Projects/VS Studio Projects/MyRainMatrix/dist/Matrix_Rain/Matrix_Rain.exe';
+    const exePath = config.executables.matrix_rain;
+    if (!exePath) {
+        return res.status(404).json({ error: 'executable_not_configured', detail: 'executables.matrix_rain is not set' });
+    }
     const exeDir = path.dirname(exePath);
     log.ok(`POST /run_exe: EXE launch requested for ${exePath}`);
 
@@ -227,7 +332,11 @@ server.post('/run_exe', (req, res) => {
             return res.status(404).send(`Not found: ${exePath}`);
         }
 
-        const child = spawn('cmd.exe', ['/c', 'start', '', exePath], {
+        // Windows: let the shell open its own console window; elsewhere run it directly
+        const [cmd, args] = process.platform === 'win32'
+            ? ['cmd.exe', ['/c', 'start', '', exePath]]
+            : [exePath, []];
+        const child = spawn(cmd, args, {
             cwd: exeDir,
             windowsHide: true,
             detached: true,
@@ -239,6 +348,7 @@ server.post('/run_exe', (req, res) => {
             if (!res.headersSent) res.status(500).send(`Failed: ${err.message}`);
         });
 
+        metrics.trackChild(child, 'run_exe');
         child.unref();
         log.ok('*** EXE launch done!');
         return res.json({ result: 'EXE launch done!' });
@@ -254,6 +364,7 @@ server.get('/collect_system_props', (req, res) => {
     try {
         const { collect_system_props } = require('./js/collect_system_props');
         const data = collect_system_props();
+        data.environment = maskSecrets(data.environment);
         return res.json(data);
     } catch (err) {
         console.error('Error collecting params:', err);
@@ -276,127 +387,74 @@ try {
     log.error('Failed to load ./js/syslib_ports.js: ' + String(e));
     syslibPorts = null;
 }
-// /scan_ports
-server.get('/scan_ports', async (req, res) => {
+// /scan_ports (SSE: start, progress, done | failed)
+server.get('/scan_ports', limits.guard('GET /scan_ports'), metrics.timeScan('ports'), sse.handler(async (stream, req) => {
     log.section('/scan_ports');
-    // Basic SSE headers + disable buffering for proxies (nginx)
-    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // hint for nginx to not buffer
-    res.flushHeaders?.();
-
-    // Heartbeat to keep intermediaries from closing idle SSE
-    const hb = setInterval(() => {
-        try { res.write(': hb\n\n'); } catch (_) { }
-    }, 15000);
-
-    const safeEnd = () => {
-        clearInterval(hb);
-        try { res.end(); } catch (_) { }
-    };
-
     if (!syslibPorts || typeof syslibPorts.scanPorts !== 'function') {
-        res.write(`data: ${JSON.stringify({ type: 'error', message: 'syslib_ports not available' })}\n\n`);
-        return safeEnd();
+        return stream.send('failed', { message: 'syslib_ports not available' });
     }
 
     const maxPort = Math.min(65535, Math.max(1, parseInt(req.query.max, 10) || 65535));
-    res.write(`data: ${JSON.stringify({ type: 'start', maxPort })}\n\n`);
-
-    // Use scanPorts with a progress callback to stream progress messages
-    try {
-        const entries = await syslibPorts.scanPorts(maxPort, (current, estimateTotal) => {
-            // progress callback invoked by syslib_ports periodically
-            try {
-                res.write(`data: ${JSON.stringify({ type: 'progress', current, total: estimateTotal })}\n\n`);
-            } catch (e) {
-                // ignore write errors (client may have disconnected)
-            }
-        });
-
-        // final send
-        res.write(`data: ${JSON.stringify({ type: 'done', data: entries })}\n\n`);
-        safeEnd();
-    } catch (err) {
-        res.write(`data: ${JSON.stringify({ type: 'error', message: String(err) })}\n\n`);
-        safeEnd();
-    }
+    stream.send('start', { maxPort });
 
-    // If client disconnects, nothing to do because scanPorts uses spawn and will end, but listen anyway
-    req.on('close', () => {
-        safeEnd();
-    });
-});
+    // scanPorts reports progress through a callback; aborting the signal kills netstat
+    const entries = await syslibPorts.scanPorts(maxPort, (current, total) => {
+        stream.send('progress', { current, total });
+    }, { signal: stream.signal });
+    await stream.send('done', { data: entries });
+}));
 
 // Minimal analyze_url: JSON or SSE (progress) using syslib_analyze_url.js
 const { analyzeUrl, analyzeUrlStream } = require('./js/syslib_analyze_url');
 
-// analyze_url
-server.get('/analyze_url', async (req, res) => {
-    log.section('/analyze_url');
+// SSE mode: one named event per progress step (start, fetch_*, parse_*, scoring_done, done | failed)
+const analyzeUrlSse = sse.handler(async (stream, req) => {
     const raw = (req.query.url || '').trim();
-    const wantsStream = req.query.stream === '1' || (req.get('accept') || '').includes('text/event-stream');
-
-    if (!wantsStream) {
-        // ---------- JSON mode ----------
-        try {
-            const result = await analyzeUrl(raw, {
-                timeoutMs: 20000,
-                userAgent: 'syslib-analyzer/1.0 (+local)'
-            });
-            return res.json(result);
-        } catch (e) {
-            const code = e.code === 'invalid_url' || e.code === 'invalid_scheme' ? 400 : 502;
-            return res.status(code).json({ ok: false, error: e.code || 'analyze_failed', detail: String(e.message || e) });
+    try {
+        for await (const evt of analyzeUrlStream(raw, {
+            timeoutMs: config.timeouts.analyzeUrlMs,
+            userAgent: 'syslib-analyzer/1.0 (+local)',
+            signal: stream.signal
+        })) {
+            if (stream.signal.aborted) break;
+            await stream.send(evt.type, evt);
         }
+    } catch (e) {
+        if (stream.signal.aborted) return;
+        await stream.send('failed', { error: e.code || 'analyze_failed', detail: String(e.message || e) });
     }
+});
 
-    // ---------- SSE mode ----------
-    // Standard SSE headers (+ anti-buffering hint for Nginx)
-    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
-    res.flushHeaders?.();
-
-    // Heartbeat so proxies don’t cut the stream
-    const hb = setInterval(() => {
-        try { res.write(': hb\n\n'); } catch (_) { }
-    }, 15000);
-
-    const safeEnd = () => {
-        clearInterval(hb);
-        try { res.end(); } catch (_) { }
-    };
+// analyze_url
+server.get('/analyze_url', limits.guard('GET /analyze_url'), metrics.timeScan('analyze_url'), async (req, res) => {
+    log.section('/analyze_url');
+    const raw = (req.query.url || '').trim();
+    const wantsStream = req.query.stream === '1' || (req.get('accept') || '').includes('text/event-stream');
+    if (wantsStream) return analyzeUrlSse(req, res);
 
     try {
-        for await (const evt of analyzeUrlStream(raw, {
-            timeoutMs: 20000,
+        const result = await analyzeUrl(raw, {
+            timeoutMs: config.timeouts.analyzeUrlMs,
             userAgent: 'syslib-analyzer/1.0 (+local)'
-        })) {
-            // Each event becomes one SSE message
-            res.write(`data: ${JSON.stringify(evt)}\n\n`);
-        }
-        safeEnd();
+        });
+        return res.json(result);
     } catch (e) {
-        res.write(`data: ${JSON.stringify({ type: 'error', error: e.code || 'analyze_failed', detail: String(e.message || e) })}\n\n`);
-        safeEnd();
+        const code = e.code === 'invalid_url' || e.code === 'invalid_scheme' ? 400 : 502;
+        return res.status(code).json({ ok: false, error: e.code || 'analyze_failed', detail: String(e.message || e) });
     }
-
-    // If client disconnects, just stop writing
-    req.on('close', safeEnd);
 });
 
 // /scan_bluetooth
-server.get("/scan_bluetooth", (req, res) => {
+server.get("/scan_bluetooth", limits.guard('GET /scan_bluetooth'), metrics.timeScan('bluetooth'), (req, res) => {
     log.section('//scan_bluetooth');
+    const scriptPath = configuredScript(res, 'bluetooth_scan');
+    if (!scriptPath) return;
     // Sanitize duration (float, 1..60 seconds)
-    const PYTHON_BIN = process.env.PYTHON_BIN || "python";
     const dur = Math.max(1, Math.min(60, parseFloat(req.query.duration) || 8));
-    const py = spawn(PYTHON_BIN, [path.join(__dirname, "./js/syslib_scan_bluetooth.py"), "--duration", String(dur)], {
+    const py = spawn(config.python.exe, [scriptPath, "--duration", String(dur)], {
         windowsHide: false,
     });
+    metrics.trackChild(py, 'bluetooth_scan');
 
     let stdout = "";
     let stderr = "";
@@ -413,10 +471,10 @@ server.get("/scan_bluetooth", (req, res) => {
         stderr += text;
         //console.error('[PYTHON STDERR]', text); // show errors if any
     });
-    // Safety timeout (dur + 3s)
+    // Safety timeout (dur + grace)
     const killTimer = setTimeout(() => {
         try { py.kill("SIGKILL"); } catch { }
-    }, (dur + 3) * 1000);
+    }, dur * 1000 + config.timeouts.bluetoothGraceMs);
 
     py.on("close", (code) => {
         clearTimeout(killTimer);
@@ -450,10 +508,19 @@ server.get("/scan_bluetooth", (req, res) => {
 });
 
 // /scan_networks
-const wifi = require("node-wifi");
-wifi.init({ iface: null }); // Auto-detect
-server.get("/networks_scan", async (req, res) => {
+// node-wifi is optional: without it /networks_scan answers 503 and /readyz reports it
+let wifi = null;
+try {
+    wifi = require("node-wifi");
+    wifi.init({ iface: null }); // Auto-detect
+    log.ok('node-wifi module loaded');
+} catch (e) {
+    log.error('Failed to load node-wifi: ' + String(e));
+    wifi = null;
+}
+server.get("/networks_scan", limits.guard('GET /networks_scan'), metrics.timeScan('networks'), async (req, res) => {
     log.section('/scan_networks');
+    if (!wifi) return res.status(503).json({ error: 'module_unavailable', detail: 'node-wifi is not installed' });
     try {
         const networks = await wifi.scan();
         res.json(networks);
@@ -464,11 +531,11 @@ server.get("/networks_scan", async (req, res) => {
 
 //  /network/connections
 const { collectConnections, getRawOSOutput } = require('./lib/collector');
-server.get('/network/connections', async (req, res) => {
+server.get('/network/connections', limits.guard('GET /network/connections'), metrics.timeScan('connections'), async (req, res) => {
     log.section('/network/connections');
     try {
         const result = await collectConnections();
-        log.warning('Collected connections:', result.count);
+        req.log.info(`Collected ${result.count} connections`);
         res.json(result);
     } catch (err) {
         res.status(500).json({ ok: false, error: err.message });
@@ -476,7 +543,7 @@ server.get('/network/connections', async (req, res) => {
 });
 
 //  /network_inspector
-server.get('/network_inspector', async (req, res) => {
+server.get('/network_inspector', limits.guard('GET /network_inspector'), async (req, res) => {
     try {
         const raw = await getRawOSOutput();
         res.type('text/plain').send(raw);
@@ -485,10 +552,10 @@ server.get('/network_inspector', async (req, res) => {
     }
 });
 
-// === 1) Configure your fixed folder here (escape backslashes in JS) ===
-const BASE_DIR = 'G:\\MyMagic\\Videos Mike - 25 GB';
-// === 2) Basic video extension filter (extend if needed) ===
-const VIDEO_EXTS = new Set(['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.m4v', '.webm']);
+// === 1) Library folders come from config.videos.roots (index = ?root=) ===
+const VIDEO_ROOTS = config.videos.roots;
+// === 2) Video extension filter (config.videos.extensions) ===
+const VIDEO_EXTS = new Set(config.videos.extensions);
 // === 3) Simple extension->MIME map (good enough for common cases) ===
 const MIME_BY_EXT = {
     '.mp4': 'video/mp4',
@@ -500,16 +567,16 @@ const MIME_BY_EXT = {
     '.webm': 'video/webm',
 };
 /**
- * Utility: ensure a client-provided file name resolves inside BASE_DIR.
+ * Utility: ensure a client-provided file name resolves inside the given library root.
  * This blocks path traversal (e.g., "../../Windows/system32").
  */
-function safeResolveInBaseDir(fileName) {
+function safeResolveInBaseDir(baseDir, fileName) {
     // Disallow path separators outright (we list top-level only in this version)
     if (fileName.includes('/') || fileName.includes('\\')) return null;
 
-    const abs = path.join(BASE_DIR, fileName);
-    // Normalize and verify it still starts with BASE_DIR
-    const normBase = path.resolve(BASE_DIR);
+    const abs = path.join(baseDir, fileName);
+    // Normalize and verify it still starts with baseDir
+    const normBase = path.resolve(baseDir);
     const normAbs = path.resolve(abs);
     if (!normAbs.startsWith(normBase)) return null;
     return normAbs;
@@ -518,21 +585,24 @@ function safeResolveInBaseDir(fileName) {
 server.get('/video_list', async (req, res) => {
     log.section('/videos_list');
     try {
-        const entries = await fs.promises.readdir(BASE_DIR, { withFileTypes: true });
         const files = [];
-        for (const e of entries) {
-            if (!e.isFile()) continue; // top-level files only (no recursion)
-            const ext = path.extname(e.name).toLowerCase();
-            if (!VIDEO_EXTS.has(ext)) continue;
-
-            const abs = path.join(BASE_DIR, e.name);
-            const stat = await fs.promises.stat(abs);
-            files.push({
-                name: e.name,
-                size: stat.size,
-                mtime: stat.mtimeMs,
-                ext,
-            });
+        for (const [root, baseDir] of VIDEO_ROOTS.entries()) {
+            const entries = await fs.promises.readdir(baseDir, { withFileTypes: true });
+            for (const e of entries) {
+                if (!e.isFile()) continue; // top-level files only (no recursion)
+                const ext = path.extname(e.name).toLowerCase();
+                if (!VIDEO_EXTS.has(ext)) continue;
+
+                const abs = path.join(baseDir, e.name);
+                const stat = await fs.promises.stat(abs);
+                files.push({
+                    name: e.name,
+                    root,
+                    size: stat.size,
+                    mtime: stat.mtimeMs,
+                    ext,
+                });
+            }
         }
 
         // Sort by name ascending (simple, deterministic)
@@ -553,7 +623,10 @@ server.get('/video_stream', async (req, res) => {
             return res.status(400).send('Missing "name" query parameter.');
         }
 
-        const abs = safeResolveInBaseDir(fileName);
+        const baseDir = VIDEO_ROOTS[parseInt(req.query.root, 10) || 0];
+        if (!baseDir) return res.status(404).send('Unknown video library.');
+
+        const abs = safeResolveInBaseDir(baseDir, fileName);
         if (!abs) return res.status(403).send('Forbidden.');
 
         const ext = path.extname(abs).toLowerCase();
@@ -636,8 +709,23 @@ server.get('/teapot', (req, res) => {
     `);
 });
 
+// /healthz (liveness), /readyz (optional modules + configured directories), /metrics (Prometheus)
+const { healthRoutes, dirCheck } = require('./lib/health');
+const health = healthRoutes({
+    checks: [
+        { name: 'module:syslib_ports', run: () => typeof syslibPorts?.scanPorts === 'function' || 'not loaded' },
+        { name: 'module:node-wifi', run: () => !!wifi || 'not loaded' },
+        ...config.videos.roots.map((dir, i) => dirCheck(`videos.roots[${i}]`, dir)),
+        dirCheck('clientLogs.dir', config.clientLogs.dir),
+        ...(config.logging.file ? [dirCheck('logging.file (directory)', path.dirname(config.logging.file))] : [])
+    ]
+});
+server.get('/healthz', health.healthz);
+server.get('/readyz', health.readyz);
+server.get('/metrics', metrics.handler);
+
 // ----------------- Remaining server start ----------------------------------
-const PORT = process.env.PORT || 8080;   // keep 8080 like your old static server
+const PORT = config.port;   // config.port (default 8080) or $PORT
 server.listen(PORT, () => {
     log.section('Server Initialized and listening...');
     log.ok(`Server listening on http://localhost:${PORT}`);